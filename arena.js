@@ -0,0 +1,118 @@
+// Snake: The Game - arena shapes
+//
+// The arena is the space the snake moves around in. Each shape knows how far a point is from its
+// walls, how to push a point back inside, and how to pick random points inside of it. Every shape
+// fits inside of the cube from -size to size along each axis (the size is 1 unless a level changes
+// it).
+// Like game.js this works in the browser and in Node.
+
+/*eslint no-redeclare: "off" */
+/* exported createArena, ARENA_SHAPES, TORUS_RADIUS, TORUS_TUBE */
+/* global module */
+'use strict';
+
+// The arena shapes in the order they are shown in the menu
+const ARENA_SHAPES = ["cube", "sphere", "cylinder", "torus"];
+
+// The distance from the center of the torus to the center of its tube and the radius of the tube
+const TORUS_RADIUS = 0.65;
+const TORUS_TUBE = 0.35;
+
+// How many random points sample() tries before giving up and using the start position
+const SAMPLE_TRIES = 1000;
+
+/**
+ * Creates one of the arena shapes, with a size of 1 (the default) they are:
+ *   cube     - the cube from -1 to 1 along each axis (the default)
+ *   sphere   - the sphere of radius 1 around the origin
+ *   cylinder - a tube of radius 1 along the z axis that is closed off at z = -1 and z = 1
+ *   torus    - a ring around the y axis, see TORUS_RADIUS and TORUS_TUBE
+ * Other sizes scale the whole shape up or down.
+ *
+ * The returned object has:
+ *   shape, size       - the name and size of the shape
+ *   start, apple      - good starting positions for the head and the first apple
+ *   bounds            - the lowest and highest corners of the box around the arena
+ *   depth(p)          - how far inside of the arena the point p is, negative if p is outside
+ *   contains(p, margin) - checks if the point p is at least margin away from every wall
+ *   clamp(p, margin)  - moves the point p so it is at least margin inside of the arena
+ *   sample(random, margin) - picks a random point that is at least margin inside of the arena
+ *                       using the random number generator random
+ */
+function createArena(shape, size) {
+    shape = ARENA_SHAPES.includes(shape) ? shape : "cube";
+    size = size || 1;
+    let start = (shape === "torus" ? [TORUS_RADIUS, 0, 0] : [0, 0, 0]).map(x => x * size);
+    let apple = (shape === "torus" ? [TORUS_RADIUS, 0, -0.4] : [0, 0, -0.5]).map(x => x * size);
+    let height = (shape === "torus" ? TORUS_TUBE : 1) * size;
+    let bounds = [[-size, -height, -size], [size, height, size]];
+
+    /**
+     * Gets the depth of p and the wall normal at the same time since they need most of the same
+     * work.
+     */
+    function nearestWall(p) {
+        let [depth, normal] = nearestUnitWall(p.map(x => x / size));
+        return [depth * size, normal];
+    }
+
+    /**
+     * The same as nearestWall() for the shape with a size of 1.
+     */
+    function nearestUnitWall(p) {
+        let [x, y, z] = p;
+        if (shape === "sphere") {
+            let r = Math.hypot(x, y, z);
+            return [1 - r, r === 0 ? [0, -1, 0] : [-x / r, -y / r, -z / r]];
+        } else if (shape === "cylinder") {
+            let r = Math.hypot(x, y);
+            let side = [1 - r, r === 0 ? [0, -1, 0] : [-x / r, -y / r, 0]];
+            let cap = [1 - Math.abs(z), [0, 0, z > 0 ? -1 : 1]];
+            return side[0] < cap[0] ? side : cap;
+        } else if (shape === "torus") {
+            // The closest point on the circle through the middle of the tube
+            let r = Math.hypot(x, z);
+            let center = r === 0 ? [TORUS_RADIUS, 0, 0] :
+                [x / r * TORUS_RADIUS, 0, z / r * TORUS_RADIUS];
+            let d = Math.hypot(x - center[0], y, z - center[2]);
+            let normal = d === 0 ? [0, -1, 0] : [0, 1, 2].map(i => (center[i] - p[i]) / d);
+            return [TORUS_TUBE - d, normal];
+        }
+        // Cube, the nearest wall is along the axis where p is furthest out
+        let k = [0, 1, 2].reduce((best, i) => Math.abs(p[i]) > Math.abs(p[best]) ? i : best, 0);
+        return [1 - Math.abs(p[k]), [0, 1, 2].map(i => i === k ? (p[k] > 0 ? -1 : 1) : 0)];
+    }
+
+    function depth(p) {
+        return nearestWall(p)[0];
+    }
+
+    function contains(p, margin) {
+        return depth(p) >= (margin || 0);
+    }
+
+    function clamp(p, margin) {
+        // Pushing away from one wall can leave p past another one (like in a corner of the cube)
+        // so keep going until it is inside of all of them
+        for (let walls = 0; walls < 3; walls++) {
+            let [d, n] = nearestWall(p);
+            if (d >= margin) { break; }
+            for (let i = 0; i < 3; i++) { p[i] += n[i] * (margin - d); }
+        }
+        return p;
+    }
+
+    function sample(random, margin) {
+        for (let tries = 0; tries < SAMPLE_TRIES; tries++) {
+            let p = bounds[0].map((low, i) => low + random() * (bounds[1][i] - low));
+            if (contains(p, margin)) { return p; }
+        }
+        return start.slice();
+    }
+
+    return { shape, size, start, apple, bounds, depth, contains, clamp, sample };
+}
+
+if (typeof module !== 'undefined') {
+    module.exports = { createArena, ARENA_SHAPES, TORUS_RADIUS, TORUS_TUBE };
+}
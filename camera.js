@@ -0,0 +1,184 @@
+// Snake: The Game - camera
+//
+// The camera has several modes:
+//   chase        - sits behind and above the head, looks a little ahead of it, and turns with the
+//                  head so that up on the screen is always the snake's up
+//   first-person - looks out of the front of the head
+//   overview     - a fixed isometric view of the whole arena from outside of it
+//   orbit        - circles around the arena by dragging with the mouse
+// When the mode changes the camera smoothly blends from where it was to the new mode.
+
+/*eslint no-redeclare: "off" */
+/* exported createCamera */
+'use strict';
+
+// The camera modes in the order they are cycled through
+const CAMERA_MODES = ["chase", "first-person", "overview", "orbit"];
+
+// How far behind and above the head the chase camera sits and how far ahead of the head it looks
+const CHASE_DISTANCE = 0.35;
+const CHASE_HEIGHT = 0.15;
+const CHASE_LEAD = 0.3;
+// How quickly the cameras that follow the head catch up to where they should be, higher is faster
+const CHASE_STIFFNESS = 6;
+const FIRST_PERSON_STIFFNESS = 15;
+// The cameras that follow the head are kept this far inside the walls so they never end up outside
+const CAMERA_MARGIN = 0.05;
+// Where the overview camera sits, looking at the center of the arena, for an arena with a size of 1
+const OVERVIEW_EYE = [2, 1.6, 2];
+// Starting angles (in radians) and distance of the orbit camera and the limits of its angle up and
+// down and its distance, the distances are for an arena with a size of 1 and grow with the arena
+const ORBIT_START = [Math.PI / 4, 0.5, 3];
+const ORBIT_PITCH_LIMIT = 1.5;
+const ORBIT_DISTANCE_LIMITS = [1.5, 6];
+// How many radians the orbit camera turns for each pixel the mouse is dragged
+const ORBIT_SENSITIVITY = 0.01;
+// How many seconds it takes to blend from one mode to the next
+const BLEND_TIME = 0.6;
+
+/**
+ * Creates a camera. The returned object has the following methods:
+ *   follow(view, dt)  - moves the camera dt seconds closer to where it should be for the game
+ *                       state view (something from getState() or interpolateState())
+ *   snap(view)        - moves the camera right to where it should be for view with no smoothing
+ *   viewMatrix(out)   - saves the view matrix for the camera into out and returns it
+ *   getEye()          - gets where the camera is
+ *   nextMode()        - switches to the next camera mode and returns its name
+ *   setMode(name)     - switches to one of the camera modes and returns its name
+ *   getMode()         - gets the name of the current camera mode
+ *   drag(dx, dy)      - turns the orbit camera for a mouse drag of dx by dy pixels
+ *   zoom(amount)      - moves the orbit camera closer (less than 1) or further (more than 1)
+ */
+function createCamera() {
+    let mode = CAMERA_MODES[0];
+
+    // The pose of the current mode, each is [eye, target, up]
+    let pose = [[0, 0, 0], [0, 0, -1], [0, 1, 0]];
+
+    // The pose being blended away from and how far along the blend is (1 is done)
+    let blend_from = null, blend = 1;
+
+    // Angles left/right and up/down and distance from the center for the orbit camera
+    let [orbit_yaw, orbit_pitch, orbit_distance] = ORBIT_START;
+
+    // The pose that is actually used, which is the current pose or part way through a blend
+    let eye = [0, 0, 0], target = [0, 0, -1], up = [0, 1, 0];
+
+    // The arena the cameras that follow the head are kept inside of, it changes to match the state
+    let arena = createArena("cube");
+
+    /**
+     * Gets where the eye and target should be and the up direction for the current mode and the
+     * given state.
+     */
+    function goal(view) {
+        if (view.arena !== arena.shape || view.arena_size !== arena.size) {
+            arena = createArena(view.arena, view.arena_size);
+        }
+        let clamp = p => arena.clamp(p, CAMERA_MARGIN);
+        if (mode === "first-person") {
+            let goal_eye = clamp(view.position.map((x, i) => x + view.forward[i] * 0.05));
+            return [goal_eye, view.position.map((x, i) => x + view.forward[i]), view.up];
+        } else if (mode === "overview") {
+            return [OVERVIEW_EYE.map(x => x * arena.size), [0, 0, 0], [0, 1, 0]];
+        } else if (mode === "orbit") {
+            let goal_eye = [
+                Math.cos(orbit_pitch) * Math.sin(orbit_yaw),
+                Math.sin(orbit_pitch),
+                Math.cos(orbit_pitch) * Math.cos(orbit_yaw),
+            ].map(x => x * orbit_distance * arena.size);
+            return [goal_eye, [0, 0, 0], [0, 1, 0]];
+        }
+        let goal_eye = clamp(view.position.map((x, i) =>
+            x - view.forward[i] * CHASE_DISTANCE + view.up[i] * CHASE_HEIGHT));
+        let goal_target = view.position.map((x, i) => x + view.forward[i] * CHASE_LEAD);
+        return [goal_eye, goal_target, view.up];
+    }
+
+    /**
+     * Blends between two poses, saving the result into out.
+     */
+    function mixPoses(out, a, b, t) {
+        for (let i = 0; i < 3; i++) { glMatrix.vec3.lerp(out[i], a[i], b[i], t); }
+        glMatrix.vec3.normalize(out[2], out[2]);
+        return out;
+    }
+
+    /**
+     * When the walls wrap and the head has gone through a wall, moves the poses that were following
+     * it through the wall too so the camera doesn't swing all the way across the arena.
+     */
+    function wrapPoses(next, size) {
+        let shift = next[1].map((x, i) => 2 * size * Math.round((x - pose[1][i]) / (2 * size)));
+        for (let p of blend_from ? [pose, blend_from] : [pose]) {
+            for (let i = 0; i < 3; i++) {
+                p[0][i] += shift[i];
+                p[1][i] += shift[i];
+            }
+        }
+    }
+
+    function follow(view, dt) {
+        let stiffness = {chase: CHASE_STIFFNESS, "first-person": FIRST_PERSON_STIFFNESS}[mode];
+        let t = stiffness ? 1 - Math.exp(-stiffness * dt) : 1;
+        if (pose) {
+            let next = goal(view);
+            if (view.walls === "wrap") { wrapPoses(next, view.arena_size); }
+            mixPoses(pose, pose, next, t);
+        } else {
+            pose = goal(view).map(v => v.slice());
+        }
+
+        // Blend from the last mode with an ease in and out
+        blend = Math.min(blend + dt / BLEND_TIME, 1);
+        let eased = blend * blend * (3 - 2 * blend);
+        let current = blend_from ? mixPoses([[], [], []], blend_from, pose, eased) : pose;
+        [eye, target, up] = current.map(v => Array.from(v));
+    }
+
+    function snap(view) {
+        pose = goal(view).map(v => v.slice());
+        blend_from = null;
+        blend = 1;
+        [eye, target, up] = pose.map(v => v.slice());
+    }
+
+    function viewMatrix(out) {
+        return glMatrix.mat4.lookAt(out, eye, target, up);
+    }
+
+    function getEye() {
+        return eye.slice();
+    }
+
+    function nextMode() {
+        return setMode(CAMERA_MODES[(CAMERA_MODES.indexOf(mode) + 1) % CAMERA_MODES.length]);
+    }
+
+    function setMode(name) {
+        if (name === mode) { return mode; }
+        mode = name;
+        blend_from = [eye.slice(), target.slice(), up.slice()];
+        blend = 0;
+        // The new mode starts where it should be instead of catching up from the old mode's pose
+        pose = null;
+        return mode;
+    }
+
+    function getMode() {
+        return mode;
+    }
+
+    function drag(dx, dy) {
+        orbit_yaw -= dx * ORBIT_SENSITIVITY;
+        orbit_pitch += dy * ORBIT_SENSITIVITY;
+        orbit_pitch = Math.min(Math.max(orbit_pitch, -ORBIT_PITCH_LIMIT), ORBIT_PITCH_LIMIT);
+    }
+
+    function zoom(amount) {
+        let [closest, furthest] = ORBIT_DISTANCE_LIMITS;
+        orbit_distance = Math.min(Math.max(orbit_distance * amount, closest), furthest);
+    }
+
+    return { follow, snap, viewMatrix, getEye, nextMode, setMode, getMode, drag, zoom };
+}
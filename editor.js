@@ -0,0 +1,453 @@
+// Snake: The Game - level editor
+//
+// Everything about editing a level that doesn't need WebGL or the page: what is selected, picking
+// things with a ray from the mouse, dragging them along the axis gizmos, and undo/redo. snake.js
+// draws the level and the gizmos and turns mouse positions into rays. Like game.js this works in
+// the browser and in Node.
+
+/*eslint no-redeclare: "off" */
+/* exported createEditor */
+/* global module, require, globalThis */
+'use strict';
+
+// Node doesn't load arena.js with a <script> tag so load it here
+if (typeof require !== 'undefined' && typeof ARENA_SHAPES === 'undefined') {
+    Object.assign(globalThis, require('./arena.js'));
+}
+
+// How long each gizmo handle is and how thick it is, for an arena with a size of 1
+const GIZMO_LENGTH = 0.3;
+const GIZMO_WIDTH = 0.02;
+// Everything that is dragged lands on a multiple of this
+const EDITOR_SNAP = 0.05;
+// The smallest size, radius or zone width that anything can be resized to
+const EDITOR_MIN_SIZE = 0.05;
+// How big the start position and apple are when picking them
+const MARKER_RADIUS = 0.06;
+// The ways the head can start facing, in the order turnStart() goes through them, with the up
+// direction to use for each
+const START_FACINGS = [
+    [[0, 0, -1], [0, 1, 0]], [[1, 0, 0], [0, 1, 0]], [[0, 0, 1], [0, 1, 0]],
+    [[-1, 0, 0], [0, 1, 0]], [[0, 1, 0], [0, 0, 1]], [[0, -1, 0], [0, 0, -1]],
+];
+
+/**
+ * Creates a level editor for a copy of the given level (see levelOptions() for what a level has,
+ * anything missing is filled in). Things in the level are referred to with {kind, index} where the
+ * kind is "obstacle", "zone", "start" or "apple" and the index is only used for obstacles and
+ * zones. The returned object has:
+ *   getLevel()       - gets a copy of the level being edited
+ *   toJSON()         - gets the level as nicely formatted JSON for saving
+ *   load(level)      - replaces the level with a different one (which can be undone), a level
+ *                      that is missing something a game needs throws an error and changes nothing
+ *   setName(name), setArena(shape, size), setWalls(walls) - change the level's settings
+ *   add(type)        - adds a "box" or "sphere" obstacle or a spawn "zone" and selects it
+ *   remove()         - removes the selected obstacle or zone
+ *   turnStart()      - turns the start of the snake to face the next direction
+ *   select(item), getSelected() - change or get the selected thing (or null)
+ *   setTool(tool), getTool() - whether dragging a gizmo does a "move" or a "resize"
+ *   pick(origin, direction) - finds the closest thing under a ray from the camera, or null
+ *   handles()        - gets the gizmo handles of the selected thing, each is {axis, center, size}
+ *   pickHandle(origin, direction) - gets the axis of the gizmo handle under a ray, or -1
+ *   beginDrag(axis, origin, direction), drag(origin, direction), endDrag() - drag a gizmo handle
+ *                      along its axis following a ray from the camera
+ *   undo(), redo()   - undo or redo the last change, these return false if there was nothing to do
+ */
+function createEditor(level) {
+    level = normalizeLevel(level);
+    let selected = null;
+    let tool = "move";
+
+    // Copies of the level (as JSON) from before each change and from before each undo
+    let history = [], future = [];
+
+    // The drag that is going on: the axis, where along the axis it started, and the level as JSON
+    // from before it started
+    let dragging = null;
+
+    /**
+     * Saves the level so the change that is about to happen can be undone.
+     */
+    function remember() {
+        history.push(JSON.stringify(level));
+        future = [];
+    }
+
+    function getLevel() {
+        return JSON.parse(JSON.stringify(level));
+    }
+
+    function toJSON() {
+        return JSON.stringify(level, null, 4);
+    }
+
+    function load(new_level) {
+        let loaded = normalizeLevel(new_level);
+        checkLevel(loaded);
+        remember();
+        level = loaded;
+        selected = null;
+    }
+
+    function setName(name) {
+        remember();
+        level.name = name;
+    }
+
+    function setArena(shape, size) {
+        remember();
+        level.arena = {shape: shape, size: size};
+    }
+
+    function setWalls(walls) {
+        remember();
+        level.walls = walls;
+    }
+
+    function add(type) {
+        remember();
+        let size = level.arena.size;
+        if (type === "zone") {
+            level.spawn_zones.push({min: [-0.25, -0.25, -0.25], max: [0.25, 0.25, 0.25]});
+            selected = {kind: "zone", index: level.spawn_zones.length - 1};
+        } else {
+            level.obstacles.push(type === "sphere" ?
+                {type: "sphere", center: [0, 0, 0], radius: snap(0.15 * size)} :
+                {type: "box", center: [0, 0, 0], size: [0.3, 0.3, 0.3].map(x => snap(x * size))});
+            selected = {kind: "obstacle", index: level.obstacles.length - 1};
+        }
+    }
+
+    function remove() {
+        if (!selected || (selected.kind !== "obstacle" && selected.kind !== "zone")) { return; }
+        remember();
+        (selected.kind === "zone" ? level.spawn_zones : level.obstacles).splice(selected.index, 1);
+        selected = null;
+    }
+
+    function turnStart() {
+        remember();
+        let forward = level.start.forward;
+        let i = START_FACINGS.findIndex(([f]) => f.every((x, j) => x === forward[j]));
+        [level.start.forward, level.start.up] =
+            START_FACINGS[(i + 1) % START_FACINGS.length].map(v => v.slice());
+    }
+
+    function select(item) {
+        selected = item;
+    }
+
+    function getSelected() {
+        return selected;
+    }
+
+    function setTool(new_tool) {
+        tool = new_tool;
+    }
+
+    function getTool() {
+        return tool;
+    }
+
+    /**
+     * Gets the center of one of the things in the level.
+     */
+    function centerOf(item) {
+        if (item.kind === "start") { return level.start.position; }
+        if (item.kind === "apple") { return level.apple; }
+        if (item.kind === "zone") {
+            let zone = level.spawn_zones[item.index];
+            return zone.min.map((x, i) => (x + zone.max[i]) / 2);
+        }
+        return level.obstacles[item.index].center;
+    }
+
+    function pick(origin, direction) {
+        let best = null, best_t = Infinity;
+        let consider = (item, t) => {
+            if (t !== null && t < best_t) { best = item; best_t = t; }
+        };
+        let marker = MARKER_RADIUS * level.arena.size;
+        consider({kind: "start"}, raySphere(origin, direction, level.start.position, marker));
+        consider({kind: "apple"}, raySphere(origin, direction, level.apple, marker));
+        level.obstacles.forEach((obstacle, index) => {
+            consider({kind: "obstacle", index}, obstacle.type === "sphere" ?
+                raySphere(origin, direction, obstacle.center, obstacle.radius) :
+                rayBox(origin, direction, ...boxCorners(obstacle.center, obstacle.size)));
+        });
+        level.spawn_zones.forEach((zone, index) => {
+            consider({kind: "zone", index}, rayBox(origin, direction, zone.min, zone.max));
+        });
+        return best;
+    }
+
+    function handles() {
+        if (!selected) { return []; }
+        let center = centerOf(selected);
+        let length = GIZMO_LENGTH * level.arena.size, width = GIZMO_WIDTH * level.arena.size;
+        return [0, 1, 2].map(axis => ({
+            axis: axis,
+            center: center.map((x, i) => i === axis ? x + length / 2 : x),
+            size: [0, 1, 2].map(i => i === axis ? length : width),
+        }));
+    }
+
+    function pickHandle(origin, direction) {
+        let best = -1, best_t = Infinity;
+        for (let handle of handles()) {
+            // The handles are hard to hit at their real width so they are picked as wider boxes
+            let size = handle.size.map((x, i) => i === handle.axis ? x : x * 3);
+            let t = rayBox(origin, direction, ...boxCorners(handle.center, size));
+            if (t !== null && t < best_t) { best = handle.axis; best_t = t; }
+        }
+        return best;
+    }
+
+    /**
+     * Gets how far along the axis line through the selected thing's center (as it was when the
+     * drag started) the ray comes the closest to it.
+     */
+    function alongAxis(axis, origin, direction) {
+        let a = [0, 1, 2].map(i => i === axis ? 1 : 0);
+        let w = dragging ? dragging.center.map((x, i) => x - origin[i]) :
+            centerOf(selected).map((x, i) => x - origin[i]);
+        let d = normalize(direction);
+        let b = dot(a, d);
+        let denominator = 1 - b * b;
+        // Looking straight down the axis there is no good answer so don't move
+        if (denominator < 1e-6) { return 0; }
+        return (b * dot(d, w) - dot(a, w)) / denominator;
+    }
+
+    function beginDrag(axis, origin, direction) {
+        if (!selected) { return; }
+        dragging = {axis: axis, center: centerOf(selected).slice(), before: JSON.stringify(level)};
+        dragging.start = alongAxis(axis, origin, direction);
+    }
+
+    function drag(origin, direction) {
+        if (!dragging) { return; }
+        let axis = dragging.axis;
+        let amount = alongAxis(axis, origin, direction) - dragging.start;
+        // Always change the level that was there when the drag started so rounding never adds up
+        level = JSON.parse(dragging.before);
+        if (tool === "resize") {
+            resize(selected, axis, amount);
+        } else {
+            move(selected, axis, amount);
+        }
+    }
+
+    function endDrag() {
+        if (!dragging) { return; }
+        if (JSON.stringify(level) !== dragging.before) {
+            history.push(dragging.before);
+            future = [];
+        }
+        dragging = null;
+    }
+
+    /**
+     * Moves a thing in the level by amount along one axis.
+     */
+    function move(item, axis, amount) {
+        if (item.kind === "zone") {
+            let zone = level.spawn_zones[item.index];
+            let moved = snap(zone.min[axis] + amount) - zone.min[axis];
+            zone.min[axis] += moved;
+            zone.max[axis] += moved;
+        } else {
+            let center = centerOf(item);
+            center[axis] = snap(center[axis] + amount);
+        }
+    }
+
+    /**
+     * Grows a thing in the level by amount along one axis (or shrinks it if amount is negative).
+     * Boxes and zones grow on the side the handle is on and spheres grow all around. The start and
+     * the apple can't be resized.
+     */
+    function resize(item, axis, amount) {
+        if (item.kind === "zone") {
+            let zone = level.spawn_zones[item.index];
+            let smallest = zone.min[axis] + EDITOR_MIN_SIZE;
+            zone.max[axis] = Math.max(snap(zone.max[axis] + amount), smallest);
+        } else if (item.kind === "obstacle") {
+            let obstacle = level.obstacles[item.index];
+            if (obstacle.type === "sphere") {
+                obstacle.radius = Math.max(snap(obstacle.radius + amount), EDITOR_MIN_SIZE);
+            } else {
+                let old_size = obstacle.size[axis];
+                obstacle.size[axis] = Math.max(snap(old_size + amount), EDITOR_MIN_SIZE);
+                let growth = obstacle.size[axis] - old_size;
+                obstacle.center[axis] = tidy(obstacle.center[axis] + growth / 2);
+            }
+        }
+    }
+
+    function undo() {
+        if (!history.length) { return false; }
+        future.push(JSON.stringify(level));
+        level = JSON.parse(history.pop());
+        selected = null;
+        return true;
+    }
+
+    function redo() {
+        if (!future.length) { return false; }
+        history.push(JSON.stringify(level));
+        level = JSON.parse(future.pop());
+        selected = null;
+        return true;
+    }
+
+    return {
+        getLevel, toJSON, load, setName, setArena, setWalls, add, remove, turnStart, select,
+        getSelected, setTool, getTool, pick, handles, pickHandle, beginDrag, drag, endDrag, undo,
+        redo,
+    };
+}
+
+/**
+ * Gets a copy of a level with everything that the editor needs filled in. Anything else in the
+ * level (like its goal) is kept as it is.
+ */
+function normalizeLevel(level) {
+    level = JSON.parse(JSON.stringify(level || {}));
+    let arena = Object.assign({shape: "cube", size: 1}, level.arena);
+    let start = Object.assign({position: [0, 0, 0], forward: [0, 0, -1], up: [0, 1, 0]},
+        level.start);
+    return Object.assign(level, {
+        name: level.name || "New Level",
+        arena: arena,
+        walls: level.walls || "solid",
+        start: start,
+        apple: level.apple || [0, 0, -0.5 * arena.size],
+        obstacles: level.obstacles || [],
+        spawn_zones: level.spawn_zones || [],
+    });
+}
+
+/**
+ * Checks that a level from normalizeLevel() has everything that createGame() needs and throws an
+ * error saying what is wrong if it doesn't.
+ */
+function checkLevel(level) {
+    let check = (ok, what) => {
+        if (!ok) { throw new Error("The level has " + what + "."); }
+    };
+    let {arena, start} = level;
+    check(ARENA_SHAPES.includes(arena.shape) && arena.size > 0, "a broken arena");
+    check(level.walls === "solid" || level.walls === "wrap", "broken walls");
+    check(isPoint(start.position) && isAxis(start.forward) && isAxis(start.up) &&
+        [0, 1, 2].every(i => Math.round(start.forward[i]) * Math.round(start.up[i]) === 0),
+    "a broken start");
+    check(isPoint(level.apple), "a broken apple");
+    check(Array.isArray(level.obstacles) && level.obstacles.every(isObstacle), "a broken obstacle");
+    check(Array.isArray(level.spawn_zones) &&
+        level.spawn_zones.every(zone => zone && isPoint(zone.min) && isPoint(zone.max)),
+    "a broken spawn zone");
+}
+
+/**
+ * Checks if p is a list of 3 numbers.
+ */
+function isPoint(p) {
+    return Array.isArray(p) && p.length === 3 && p.every(x => typeof x === "number" && isFinite(x));
+}
+
+/**
+ * Checks if p is a direction along one of the axes (after rounding like facing() in game.js).
+ */
+function isAxis(p) {
+    return isPoint(p) && p.map(x => Math.abs(Math.round(x))).reduce((sum, x) => sum + x) === 1;
+}
+
+/**
+ * Checks if an obstacle has what poseObstacle() and obstacleDistance() in game.js need.
+ */
+function isObstacle(obstacle) {
+    if (!obstacle || !isPoint(obstacle.center)) { return false; }
+    if (obstacle.type === "sphere") {
+        if (!(obstacle.radius > 0)) { return false; }
+    } else if (obstacle.type !== "box" || !isPoint(obstacle.size)) {
+        return false;
+    }
+    if (obstacle.rotation && !isPoint(obstacle.rotation)) { return false; }
+    let keyframes = obstacle.keyframes;
+    if (keyframes && !(Array.isArray(keyframes) && keyframes.length && keyframes.every(keyframe =>
+        keyframe && typeof keyframe.time === "number" &&
+        (!keyframe.offset || isPoint(keyframe.offset)) &&
+        (!keyframe.rotation || isPoint(keyframe.rotation))))) {
+        return false;
+    }
+    let orbit = obstacle.orbit;
+    return !orbit || (isPoint(orbit.axis) && typeof orbit.radius === "number" && orbit.period > 0);
+}
+
+/**
+ * Rounds x to the nearest multiple of EDITOR_SNAP.
+ */
+function snap(x) {
+    return tidy(Math.round(x / EDITOR_SNAP) * EDITOR_SNAP);
+}
+
+/**
+ * Removes the tiny floating point errors from x so that the saved levels have nice numbers.
+ */
+function tidy(x) {
+    return Number(x.toFixed(6));
+}
+
+/**
+ * Gets the lowest and highest corners of a box from its center and size.
+ */
+function boxCorners(center, size) {
+    return [center.map((x, i) => x - size[i] / 2), center.map((x, i) => x + size[i] / 2)];
+}
+
+/**
+ * Gets how far along a ray (as a multiple of the direction) it first hits a box with the corners
+ * min and max, or null if it misses. A ray that starts inside of the box hits it where it leaves.
+ */
+function rayBox(origin, direction, min, max) {
+    let near = -Infinity, far = Infinity;
+    for (let i = 0; i < 3; i++) {
+        if (direction[i] === 0) {
+            if (origin[i] < min[i] || origin[i] > max[i]) { return null; }
+        } else {
+            let t1 = (min[i] - origin[i]) / direction[i];
+            let t2 = (max[i] - origin[i]) / direction[i];
+            near = Math.max(near, Math.min(t1, t2));
+            far = Math.min(far, Math.max(t1, t2));
+        }
+    }
+    if (near > far || far < 0) { return null; }
+    return near >= 0 ? near : far;
+}
+
+/**
+ * Gets how far along a ray (as a multiple of the direction) it first hits a sphere, or null if it
+ * misses. A ray that starts inside of the sphere hits it where it leaves.
+ */
+function raySphere(origin, direction, center, radius) {
+    let w = origin.map((x, i) => x - center[i]);
+    let a = dot(direction, direction), b = dot(w, direction), c = dot(w, w) - radius * radius;
+    let discriminant = b * b - a * c;
+    if (discriminant < 0) { return null; }
+    let root = Math.sqrt(discriminant);
+    let t = (-b - root) / a;
+    if (t < 0) { t = (-b + root) / a; }
+    return t < 0 ? null : t;
+}
+
+function dot(a, b) {
+    return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+}
+
+function normalize(v) {
+    let length = Math.hypot(...v);
+    return v.map(x => x / length);
+}
+
+if (typeof module !== 'undefined') { module.exports = { createEditor }; }
@@ -0,0 +1,1049 @@
+// Snake: The Game - headless simulation
+//
+// All of the game rules live here with no WebGL or DOM code so that the game can be run in the
+// browser (loaded with a <script> tag before snake.js) or in Node (with require()).
+
+/*eslint no-redeclare: "off" */
+/* exported createGame, interpolateState, distance, levelOptions */
+/* global module, require, globalThis */
+'use strict';
+
+// Node doesn't load the other simulation files with <script> tags so load them here
+if (typeof require !== 'undefined' && typeof createRandom === 'undefined') {
+    globalThis.glMatrix = require('./common/gl-matrix.js');
+    Object.assign(globalThis, require('./random.js'), require('./arena.js'),
+        require('./pickups.js'));
+}
+
+// How many seconds a snake that lost a life keeps going through its body after it has all come back
+// out from the start
+const RESPAWN_GHOST_TIME = 0.5;
+
+// The kinds of apples with how many points each one is worth, how many spheres the snake grows by
+// when it eats one (negative to shrink it), and how many seconds it stays before it goes away (0 to
+// stay until it is eaten). Only apples that make the snake grow count as eaten.
+const APPLE_KINDS = {
+    normal: {points: 5, grow: 1, lifetime: 0},
+    golden: {points: 25, grow: 1, lifetime: 6},
+    rotten: {points: 0, grow: -2, lifetime: 10},
+};
+
+// How big the boxes that obstacle_density scatters around are and how far from the start they are
+// kept so the snake has room to get going, both for an arena with a size of 1
+const SCATTER_BOX_SIZE = 0.2;
+const SCATTER_START_CLEARANCE = 0.4;
+// How many points along each axis are checked when working out how much space is inside the arena
+const VOLUME_SAMPLES = 10;
+
+// How many places along its path a moving obstacle is checked at when keeping apples out of its way
+const SWEEP_SAMPLES = 32;
+
+// For each kind of turn (W, S, A and D on the keyboard) the axis of the head it rotates around and
+// the number of degrees, W and S pitch the head up and down and A and D yaw it left and right
+const TURNS = {
+    up: [[1, 0, 0], 90],
+    down: [[1, 0, 0], -90],
+    left: [[0, 1, 0], 90],
+    right: [[0, 1, 0], -90],
+};
+
+/**
+ * Creates a new game simulation. The options object (all optional) can have:
+ *   mode       - "continuous" (default) to move a little bit every step or "grid" to split the
+ *                arena into grid_size x grid_size x grid_size cells and move one cell at a time
+ *   grid_size  - number of cells along each side of the arena in grid mode (default 20)
+ *   arena      - the shape of the arena, "cube" (default), "sphere", "cylinder" or "torus" (see
+ *                createArena())
+ *   arena_size - how big the arena is, it fits in the cube from -arena_size to arena_size along
+ *                each axis (default 1)
+ *   walls      - "solid" (default) for walls that end the game or "wrap" for walls that the snake
+ *                goes through and comes back in from the opposite wall, only the cube can wrap
+ *   speed      - arena units the head moves per second at the start (default 0.3)
+ *   speed_growth - how much faster the head gets for each apple eaten (default 0)
+ *   max_speed  - the fastest the head can get from eating apples (default no limit)
+ *   radius     - radius of each sphere of the snake (default 0.05)
+ *   spacing    - distance between the centers of neighboring spheres along the snake's path
+ *                (default 2 * radius so that they just touch, always one cell in grid mode)
+ *   hit_radius - how close the center of the head has to get to the center of one of the body
+ *                spheres to hit it (default 1.5 * radius, grid mode uses exact cells instead)
+ *   neck       - number of body spheres right behind the head that can't be hit since they are
+ *                always close to the head when turning (default 3, not used in grid mode)
+ *   start      - the starting position of the head (default depends on the arena)
+ *   start_forward, start_up - which way the head starts facing, each has to be along one of the
+ *                axes (default [0, 0, -1] and [0, 1, 0])
+ *   apple      - the starting position of the first apple (default depends on the arena)
+ *   apple_count - how many apples there are at once (default 1)
+ *   apple_growth - how many spheres the snake grows by for each apple it eats (default 1)
+ *   golden_chance - how likely each new apple is to be golden (default 0.1), see APPLE_KINDS
+ *   rotten_chance - how likely each new apple is to be rotten (default 0.1), there is always at
+ *                 least one apple that isn't rotten so with only one apple none are rotten
+ *   obstacles  - a list of things in the arena that the snake can run into, each is either
+ *                {type: "box", center, size} with size being the width, height and depth or
+ *                {type: "sphere", center, radius} (default none), boxes can also have a rotation
+ *                (in degrees around x, y and z like updateModelViewMatrix()) and any obstacle
+ *                can move, see poseObstacle()
+ *   obstacle_density - about how much of the arena is filled with boxes scattered in random places
+ *                on top of the obstacles, 0.05 fills 5% of it (default 0)
+ *   spawn_zones - a list of boxes {min, max} (their lowest and highest corners) that new apples
+ *                can be placed in, an empty list lets apples go anywhere (default empty)
+ *   goal       - what has to be done to clear the game (default null for a game that never ends
+ *                until the snake crashes), it can have:
+ *                  apples     - the number of apples to eat
+ *                  length     - how many spheres long the snake has to get
+ *                  time_limit - seconds to do the rest in before the game is over, with nothing
+ *                               else this is how long the snake has to stay alive
+ *   pickup_types    - the kinds of power-up pickups that can show up (default PICKUP_TYPES)
+ *   pickup_chance   - how likely a pickup is to show up each time an apple is eaten (default 0.3)
+ *   pickup_lifetime - how many seconds a pickup stays before it goes away (default 10)
+ *   spawn_margin    - how close to a wall a new apple can be (default 2 * radius)
+ *   spawn_clearance - how close to any sphere of the snake (or another apple or pickup) a new
+ *                     apple can be (default 3 * radius)
+ *   spawn_distance  - how close to the head a new apple can be (default 0.5)
+ *   seed       - seed for all of the random choices in the game (default is a random seed)
+ *   input_depth - the most turns that can be waiting to happen (default 3)
+ *
+ * Every arena fits in the cube from -arena_size to arena_size along each axis and the grid covers
+ * that whole cube, the cells outside of the arena are walls. In grid mode the start and apple
+ * positions are moved to the center of the cell they are in.
+ *
+ * The snake keeps track of which way it is facing with a quaternion. With no rotation it moves
+ * forward along -z with its up along +y and its right along +x. All turns are relative to the head
+ * so the same key always turns the same way on screen.
+ *
+ * Levels (see levelOptions()) are just a set of these options.
+ *
+ * The returned object has the following methods:
+ *   step(dt, input) - advances the game by dt seconds, input is an optional object with `turns`,
+ *                     a list of the turns ("up", "down", "left" or "right") the player asked for
+ *                     since the last step in the order they were asked for
+ *   getState()      - returns a copy of the current state that is safe to keep around
+ *   reset(seed)     - starts the game over from the beginning, the same seed is used again unless
+ *                     a new one is given
+ */
+function createGame(options) {
+    options = options || {};
+    // Gets an option that is allowed to be 0
+    let option = (name, fallback) => typeof options[name] === "undefined" ? fallback : options[name];
+    const grid = options.mode === "grid";
+    const grid_size = options.grid_size || 20;
+    const arena = createArena(options.arena, options.arena_size);
+    const size = arena.size;
+    const wrap = options.walls === "wrap" && arena.shape === "cube";
+    const cell_size = 2 * size / grid_size;
+    const speed = options.speed || 0.3;
+    const speed_growth = option("speed_growth", 0);
+    const max_speed = option("max_speed", Infinity);
+    const radius = options.radius || 0.05;
+    const spacing = grid ? cell_size : options.spacing || 2 * radius;
+    const hit_radius = options.hit_radius || 1.5 * radius;
+    const neck = grid ? 0 : option("neck", 3);
+    const start = snapToCell((options.start || arena.start).slice());
+    const start_orientation =
+        facing(options.start_forward || [0, 0, -1], options.start_up || [0, 1, 0]);
+    const apple_start = snapToCell((options.apple || arena.apple).slice());
+    const obstacle_density = option("obstacle_density", 0);
+    const moving = (options.obstacles || []).some(obstacle => obstacle.keyframes || obstacle.orbit);
+    const spawn_zones = options.spawn_zones || [];
+    const apple_count = option("apple_count", 1);
+    const apple_growth = option("apple_growth", 1);
+    const golden_chance = option("golden_chance", 0.1);
+    const rotten_chance = option("rotten_chance", 0.1);
+    const goal = options.goal || null;
+    const pickup_types = options.pickup_types || PICKUP_TYPES;
+    const pickup_chance = option("pickup_chance", 0.3);
+    const pickup_lifetime = option("pickup_lifetime", 10);
+    const spawn_margin = option("spawn_margin", 2 * radius);
+    const spawn_clearance = option("spawn_clearance", 3 * radius);
+    const spawn_distance = option("spawn_distance", 0.5);
+    const input_depth = option("input_depth", 3);
+    let seed = option("seed", randomSeed());
+    let random;
+
+    // The current state, position is always the same array as snake[0], orientation is the
+    // quaternion for which way the head is facing, reason is what ended the game ("wall",
+    // "obstacle", "self" or "time") once it is over
+    let position, orientation, snake, score, over, reason;
+
+    // The apples in the arena as {kind, position, time_left}, see APPLE_KINDS
+    let apples;
+
+    // How many apples have been eaten, how many seconds have gone by, and if the goal is done
+    let eaten, time, cleared;
+
+    // The obstacles from the options with the scattered ones added (which change with the seed),
+    // everywhere they go with moving obstacles included at many points along the way so that
+    // apples are never put where one will be, and where each obstacle is right now
+    let obstacles, swept_obstacles, current_obstacles;
+
+    // In grid mode the centers of the cells that are open for apples when only the walls, spawn
+    // zones and obstacles are counted, those don't change so they are only checked once each game
+    let open_cells;
+
+    // The pickup waiting to be picked up as {type, position, time_left} (or null), the effects of
+    // pickups that are going as {type, name, modifiers, time_left}, and the number of extra lives
+    let pickup, effects, lives;
+
+    // The path the head has taken as a list of points starting at the head followed by every
+    // place it turned, the body spheres are placed along this path. The trail never wraps around
+    // (so it is in one piece and its length is right) which means that when the walls wrap the
+    // start of the trail (path_head) isn't always the same as position.
+    let trail, path_head;
+
+    // How many spheres (counting the head) have their place along the trail, the rest are piled up
+    // at the end of the trail until it gets long enough and can't be run into yet
+    let laid;
+
+    // In grid mode the distance moved since the head was last in the center of a cell
+    let progress;
+
+    // The kinds of turns waiting to happen, one each time the snake moves
+    let turns;
+
+    /**
+     * Puts the game back to the starting state.
+     */
+    function reset(new_seed) {
+        if (typeof new_seed !== "undefined") { seed = new_seed; }
+        random = createRandom(seed);
+        position = start.slice();
+        snake = [position];
+        placeAtStart();
+        score = 0;
+        over = false;
+        reason = null;
+        eaten = 0;
+        time = 0;
+        cleared = false;
+        obstacles = (options.obstacles || []).concat(scatterObstacles());
+        swept_obstacles = [].concat(...obstacles.map(sweepObstacle));
+        open_cells = grid ? findOpenCells() : [];
+        current_obstacles = obstacles.map(obstacle => poseObstacle(obstacle, time));
+        pickup = null;
+        effects = [];
+        lives = 0;
+        apples = [{kind: "normal", position: apple_start.slice(), time_left: 0}];
+        while (apples.length < apple_count) { apples.push(newApple()); }
+    }
+
+    /**
+     * Gets about how much space is inside of the arena by checking which points of an even grid
+     * over the box around it are inside.
+     */
+    function arenaVolume() {
+        let [low, high] = arena.bounds;
+        let steps = VOLUME_SAMPLES, inside = 0;
+        for (let i = 0; i < steps; i++) {
+            for (let j = 0; j < steps; j++) {
+                for (let k = 0; k < steps; k++) {
+                    let p = [i, j, k].map((n, axis) =>
+                        low[axis] + (n + 0.5) / steps * (high[axis] - low[axis]));
+                    if (arena.contains(p)) { inside++; }
+                }
+            }
+        }
+        let volume = [0, 1, 2].reduce((product, i) => product * (high[i] - low[i]), 1);
+        return volume * inside / (steps * steps * steps);
+    }
+
+    /**
+     * Makes the boxes for obstacle_density in random places inside of the arena. They can overlap
+     * each other but not the start or the first apple.
+     */
+    function scatterObstacles() {
+        if (!obstacle_density) { return []; }
+        let box = SCATTER_BOX_SIZE * size;
+        let count = Math.round(obstacle_density * arenaVolume() / (box * box * box));
+        let scattered = [];
+        for (let tries = 0; scattered.length < count && tries < 20 * count; tries++) {
+            let obstacle = {type: "box", center: arena.sample(random, box), size: [box, box, box]};
+            if (distance(obstacle.center, start) < SCATTER_START_CLEARANCE * size) { continue; }
+            if (obstacleDistance(obstacle, apple_start) < spawn_clearance) { continue; }
+            scattered.push(obstacle);
+        }
+        return scattered;
+    }
+
+    /**
+     * Puts the head back at the start facing the starting way with the whole body bunched up
+     * behind it, it comes back out as the snake moves.
+     */
+    function placeAtStart() {
+        for (let sphere of snake) {
+            for (let i = 0; i < 3; i++) { sphere[i] = start[i]; }
+        }
+        orientation = glMatrix.quat.clone(start_orientation);
+        path_head = position.slice();
+        trail = [path_head, path_head.slice()];
+        laid = 1;
+        progress = 0;
+        turns = [];
+    }
+
+    /**
+     * Gets the index of the grid cell that the coordinate x is in along one axis.
+     */
+    function cellOf(x) {
+        return Math.min(Math.max(Math.floor((x + size) / cell_size), 0), grid_size - 1);
+    }
+
+    /**
+     * In grid mode moves the point p to the center of the cell it is in. In continuous mode the
+     * point is left alone.
+     */
+    function snapToCell(p) {
+        if (grid) {
+            for (let i = 0; i < 3; i++) { p[i] = -size + (cellOf(p[i]) + 0.5) * cell_size; }
+        }
+        return p;
+    }
+
+    /**
+     * When the walls wrap moves each coordinate of p that is outside of the arena in from the
+     * opposite wall. Otherwise the point is left alone.
+     */
+    function wrapPoint(p) {
+        if (wrap) {
+            for (let i = 0; i < 3; i++) { p[i] -= 2 * size * Math.round(p[i] / (2 * size)); }
+        }
+        return p;
+    }
+
+    /**
+     * Gets the distance between the points a and b. When the walls wrap it is the shortest
+     * distance which might go through a wall.
+     */
+    function gap(a, b) {
+        return Math.hypot(...[0, 1, 2].map(i => offset(a[i], b[i])));
+    }
+
+    /**
+     * Gets how far it is from the coordinate a to b along one axis, when the walls wrap this is
+     * the shortest way which might go through a wall.
+     */
+    function offset(a, b) {
+        let d = b - a;
+        return wrap ? d - 2 * size * Math.round(d / (2 * size)) : d;
+    }
+
+    /**
+     * Checks if the points a and b are in the same grid cell.
+     */
+    function sameCell(a, b) {
+        return a.every((x, i) => cellOf(x) === cellOf(b[i]));
+    }
+
+    /**
+     * Adds a turn to the end of the queue of turns if there is room for it. Since every turn is a
+     * quarter turn from wherever the head will be facing after the turns ahead of it, no turn can
+     * ever send the snake straight back into itself.
+     */
+    function queueTurn(kind) {
+        if (TURNS[kind] && turns.length < input_depth) {
+            turns.push(kind);
+        }
+    }
+
+    /**
+     * Turns the head by one of the kinds of turns. The new orientation is snapped so its axes
+     * line up exactly with the axes of the world, otherwise the errors from all of the turns
+     * would slowly add up.
+     */
+    function turnSnake(kind) {
+        // Remember the corner so the body will follow the head around it
+        trail.splice(1, 0, path_head.slice());
+
+        let [axis, degrees] = TURNS[kind];
+        let q = glMatrix.quat.setAxisAngle(glMatrix.quat.create(), axis, degrees * Math.PI / 180);
+        glMatrix.quat.multiply(orientation, orientation, q);
+        orientation = facing(headAxis(orientation, [0, 0, -1]), headAxis(orientation, [0, 1, 0]));
+    }
+
+    /**
+     * Adds a new sphere to the end of the snake. It starts on top of the current last sphere and
+     * comes out from behind it as the trail gets longer.
+     */
+    function addToSnake() {
+        snake.push(snake[snake.length - 1].slice());
+    }
+
+    /**
+     * Places every body sphere along the trail so that each one is `spacing` further along the
+     * path from the head than the one in front of it. Any part of the trail that is beyond the
+     * last sphere is no longer needed and is dropped. When the walls wrap, spheres are wrapped
+     * back into the arena after being placed.
+     */
+    function updateSnakeBody() {
+        let needed = (snake.length - 1) * spacing;
+        let i = 1, traveled = 0;
+        for (let j = 1; j < trail.length; j++) {
+            let a = trail[j - 1], b = trail[j];
+            let length = distance(a, b);
+            let along = t => length === 0 ? 0 : (t - traveled) / length;
+            // Place all of the spheres that land on this piece of the trail
+            while (i < snake.length && i * spacing <= traveled + length) {
+                wrapPoint(lerp(snake[i], a, b, along(i * spacing)));
+                i++;
+            }
+            if (needed <= traveled + length) {
+                // Cut the trail off right at the last sphere
+                trail[j] = lerp([0, 0, 0], a, b, along(needed));
+                trail.length = j + 1;
+                break;
+            }
+            traveled += length;
+        }
+        laid = i;
+        // The trail isn't long enough yet for the remaining spheres so they wait at its end
+        for (; i < snake.length; i++) {
+            snake[i] = wrapPoint(trail[trail.length - 1].slice());
+        }
+    }
+
+    /**
+     * Checks if an apple (or pickup) could be placed at p. It has to be in one of the spawn zones
+     * (if there are any), far enough away from the walls, the obstacles, the snake, the apples and
+     * the pickup, and at least head_distance away from the head. The apple is kept away from the
+     * walls even when they wrap so it is never split in two.
+     */
+    function canSpawnAt(p, head_distance) {
+        return isOpen(p) && isClear(p, head_distance);
+    }
+
+    /**
+     * The parts of canSpawnAt() that never change during a game: the walls, the spawn zones and
+     * everywhere the obstacles go.
+     */
+    function isOpen(p) {
+        if (!arena.contains(p, spawn_margin)) { return false; }
+        if (spawn_zones.length && !spawn_zones.some(zone => inBox(p, zone.min, zone.max))) {
+            return false;
+        }
+        // Obstacles whose whole bounding sphere is far enough away can be skipped
+        if (swept_obstacles.some(obstacle =>
+            distance(p, obstacle.center) - obstacle.reach < spawn_clearance &&
+            obstacleDistance(obstacle, p) < spawn_clearance)) {
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * The parts of canSpawnAt() that change as the game goes: the snake, the apples and the pickup.
+     */
+    function isClear(p, head_distance) {
+        if (apples.some(apple => gap(p, apple.position) < spawn_clearance)) { return false; }
+        if (pickup && gap(p, pickup.position) < spawn_clearance) { return false; }
+        if (gap(p, position) < head_distance) { return false; }
+        return snake.every(sphere =>
+            gap(p, sphere) >= spawn_clearance && !(grid && sameCell(p, sphere)));
+    }
+
+    /**
+     * Gets the center of every cell that isOpen().
+     */
+    function findOpenCells() {
+        let cells = [];
+        for (let i = 0; i < grid_size; i++) {
+            for (let j = 0; j < grid_size; j++) {
+                for (let k = 0; k < grid_size; k++) {
+                    let p = [i, j, k].map(n => -size + (n + 0.5) * cell_size);
+                    if (isOpen(p)) { cells.push(p); }
+                }
+            }
+        }
+        return cells;
+    }
+
+    /**
+     * Finds a random place for a new apple or pickup. In continuous mode random points are tried
+     * until one works, in grid mode a random cell is picked out of all of the cells that work. If
+     * nowhere works then the distance from the head is ignored and after that it goes anywhere.
+     */
+    function findSpawn() {
+        for (let head_distance of [spawn_distance, 0]) {
+            if (grid) {
+                let cells = open_cells.filter(p => isClear(p, head_distance));
+                if (cells.length) { return cells[Math.floor(random() * cells.length)].slice(); }
+            } else {
+                for (let tries = 0; tries < 100; tries++) {
+                    let p = samplePoint();
+                    if (canSpawnAt(p, head_distance)) { return p; }
+                }
+            }
+        }
+        return snapToCell(samplePoint());
+    }
+
+    /**
+     * Picks a random point in a random spawn zone, or anywhere in the arena if there are no zones.
+     */
+    function samplePoint() {
+        if (!spawn_zones.length) { return arena.sample(random, spawn_margin); }
+        let zone = spawn_zones[Math.floor(random() * spawn_zones.length)];
+        return zone.min.map((low, i) => low + random() * (zone.max[i] - low));
+    }
+
+    /**
+     * Makes a new apple of a random kind in a random place.
+     */
+    function newApple() {
+        let roll = random();
+        let kind = "normal";
+        if (roll < golden_chance) {
+            kind = "golden";
+        } else if (roll < golden_chance + rotten_chance &&
+            apples.some(apple => apple.kind !== "rotten")) {
+            kind = "rotten";
+        }
+        return {kind: kind, position: findSpawn(), time_left: APPLE_KINDS[kind].lifetime};
+    }
+
+    /**
+     * Swaps an apple that was eaten or went away for a new one.
+     */
+    function replaceApple(apple) {
+        apples.splice(apples.indexOf(apple), 1);
+        apples.push(newApple());
+    }
+
+    /**
+     * Counts down the time left on the apples that go away and replaces the ones that ran out.
+     */
+    function updateApples(dt) {
+        for (let apple of apples.filter(apple => apple.time_left > 0)) {
+            apple.time_left -= dt;
+            if (apple.time_left <= 0) { replaceApple(apple); }
+        }
+    }
+
+    /**
+     * Grows the snake by some number of spheres or shrinks it if the number is negative, the head
+     * is always left.
+     */
+    function growSnake(amount) {
+        if (amount > 0) {
+            for (let i = 0; i < amount; i++) { addToSnake(); }
+        } else if (amount < 0) {
+            snake.length = Math.max(snake.length + amount, 1);
+            updateSnakeBody();
+        }
+    }
+
+    function eatApple(apple) {
+        let kind = APPLE_KINDS[apple.kind];
+        score += Math.round(kind.points * modifier("score"));
+        growSnake(kind.grow > 0 ? kind.grow * apple_growth : kind.grow);
+        replaceApple(apple);
+        if (kind.grow <= 0) { return; }
+        eaten++;
+        if (!pickup && random() < pickup_chance) {
+            let type = choosePickup(pickup_types, random);
+            pickup = {type: type, position: findSpawn(), time_left: pickup_lifetime};
+        }
+    }
+
+    /**
+     * Gets the combined value of one of the number pickup modifiers (see PICKUP_TYPES) from all of
+     * the effects that are going. They are multiplied together so 1 means no change.
+     */
+    function modifier(name) {
+        let values = effects.map(effect => effect.modifiers[name])
+            .filter(value => typeof value === "number");
+        return values.reduce((product, value) => product * value, 1);
+    }
+
+    /**
+     * Checks if any of the effects that are going turns on one of the true or false pickup
+     * modifiers (see PICKUP_TYPES).
+     */
+    function hasModifier(name) {
+        return effects.some(effect => effect.modifiers[name] === true);
+    }
+
+    /**
+     * Uses up the pickup the head just touched. Instant effects happen right away and effects that
+     * last are added to the list (or started over if that kind is already going).
+     */
+    function usePickup() {
+        let type = pickup_types[pickup.type];
+        let instant = type.instant || {};
+        growSnake(instant.grow || 0);
+        lives += instant.lives || 0;
+        if (type.duration > 0) {
+            addEffect(pickup.type, type.name, type.modifiers || {}, type.duration);
+        }
+        pickup = null;
+    }
+
+    /**
+     * Starts an effect or, if that kind of effect is already going, starts its time over.
+     */
+    function addEffect(type, name, modifiers, duration) {
+        effects = effects.filter(effect => effect.type !== type);
+        effects.push({type: type, name: name, modifiers: modifiers, time_left: duration});
+    }
+
+    /**
+     * Counts down the time left on the pickup and the effects and removes the ones that ran out.
+     */
+    function updatePickups(dt) {
+        for (let effect of effects) { effect.time_left -= dt; }
+        effects = effects.filter(effect => effect.time_left > 0);
+        if (pickup) {
+            pickup.time_left -= dt;
+            if (pickup.time_left <= 0) { pickup = null; }
+        }
+    }
+
+    // Checks if the point p has come into contact with a wall, in grid mode it checks if the point
+    // has left the grid, walls that wrap are never hit
+    function checkForWall(p) {
+        if (wrap) { return false; }
+        if (grid) { return !arena.contains(p); }
+        return arena.depth(p) <= 0.01;
+    }
+
+    // Checks if the point p has run into an obstacle, in continuous mode the head hits an obstacle
+    // as soon as it touches it, in grid mode it checks if the center of the cell is in it
+    function checkForObstacle(p) {
+        let reach = grid ? 0 : radius;
+        return current_obstacles.some(obstacle => obstacleDistance(obstacle, p) < reach);
+    }
+
+    // Checks if the head has run into its own body, a ghost goes right through it and the spheres
+    // still piled up at the end of the trail don't count
+    function checkForSelf() {
+        if (hasModifier("ghost")) { return false; }
+        for (let i = neck + 1; i < laid; i++) {
+            if (grid ? sameCell(position, snake[i]) : gap(position, snake[i]) < hit_radius) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    // Gets the apple the snake has come into contact with (if any)
+    function checkForApple() {
+        return apples.find(apple => {
+            if (grid) { return sameCell(position, apple.position); }
+            return [0, 1, 2].every(i => Math.abs(offset(position[i], apple.position[i])) < 0.1);
+        });
+    }
+
+    /**
+     * Checks the goal once the snake has moved. Once everything is done the game is cleared and if
+     * time runs out first the game is over.
+     */
+    function checkGoal() {
+        if (!goal || over) { return; }
+        let done = (!goal.apples || eaten >= goal.apples) &&
+            (!goal.length || snake.length >= goal.length);
+        let out_of_time = goal.time_limit && time >= goal.time_limit;
+        if (done && (out_of_time || goal.apples || goal.length)) {
+            cleared = true;
+        } else if (out_of_time) {
+            gameOver("time");
+        }
+    }
+
+    // Checks if the head has touched the pickup
+    function checkForPickup() {
+        if (!pickup) { return false; }
+        if (grid) { return sameCell(position, pickup.position); }
+        return gap(position, pickup.position) < 2 * radius;
+    }
+
+    /**
+     * Ends the game. The reason is what the snake ran into. If the snake has an extra life it is
+     * used up instead and the snake goes back to the start, running out of time can't be saved.
+     */
+    function gameOver(why) {
+        if (lives > 0 && why !== "time") {
+            lives--;
+            placeAtStart();
+            // The snake can go through its body until it has all come back out from the start
+            let unbunched = snake.length * spacing / currentSpeed();
+            addEffect("respawn", "Respawning", {ghost: true}, unbunched + RESPAWN_GHOST_TIME);
+            return;
+        }
+        over = true;
+        reason = why;
+    }
+
+    /**
+     * Moves the head forward by the given distance and has the body follow it. In continuous mode
+     * the snake dies once the head touches a wall, in grid mode it dies if the move would take it
+     * out of the grid. If the walls wrap the head comes back in through the opposite wall. Running
+     * into an obstacle ends the game the same way in both modes.
+     */
+    function moveSnake(step_size) {
+        // The snake only makes quarter turns so it always moves exactly along one of the axes
+        let forward = headAxis(orientation, [0, 0, -1]).map(Math.round);
+        let next = forward.map((d, i) => position[i] + d * step_size);
+        if (checkForWall(grid ? next : position)) {
+            gameOver("wall");
+            return;
+        }
+        if (checkForObstacle(grid ? next : position)) {
+            gameOver("obstacle");
+            return;
+        }
+        let moved = snapToCell(wrapPoint(next));
+        for (let i = 0; i < 3; i++) {
+            // The trail doesn't wrap so it moves by how far the head actually went
+            path_head[i] += offset(position[i], moved[i]);
+            position[i] = moved[i];
+        }
+        updateSnakeBody();
+        if (checkForSelf()) {
+            gameOver("self");
+        }
+    }
+
+    /**
+     * Advances the game by dt seconds. Nothing happens once the game is over or cleared. Every time
+     * the snake moves (each step in continuous mode or each cell in grid mode) it makes the next
+     * turn that is waiting.
+     */
+    function step(dt, input) {
+        if (over || cleared) { return; }
+        time += dt;
+        updatePickups(dt);
+        updateApples(dt);
+        let step_speed = currentSpeed();
+        if (moving) {
+            current_obstacles = obstacles.map(obstacle => poseObstacle(obstacle, time));
+            // An obstacle can run into the head even if the head didn't move into it
+            if (checkForObstacle(position)) {
+                gameOver("obstacle");
+                return;
+            }
+        }
+        if (input && input.turns) {
+            input.turns.forEach(queueTurn);
+        }
+        if (grid) {
+            progress += step_speed * dt;
+            while (!over && progress >= cell_size) {
+                progress -= cell_size;
+                if (turns.length) { turnSnake(turns.shift()); }
+                moveSnake(cell_size);
+                let apple = !over && checkForApple();
+                if (apple) {
+                    eatApple(apple);
+                }
+                if (!over && checkForPickup()) {
+                    usePickup();
+                }
+            }
+        } else {
+            if (turns.length) { turnSnake(turns.shift()); }
+            let apple = checkForApple();
+            if (apple) {
+                eatApple(apple);
+            }
+            if (checkForPickup()) {
+                usePickup();
+            }
+            moveSnake(step_speed * dt);
+        }
+        checkGoal();
+    }
+
+    /**
+     * Gets a copy of the current state of the game.
+     */
+    function getState() {
+        return {
+            position: position.slice(),
+            orientation: Array.from(orientation),
+            forward: headAxis(orientation, [0, 0, -1]),
+            up: headAxis(orientation, [0, 1, 0]),
+            right: headAxis(orientation, [1, 0, 0]),
+            turns: turns.slice(),
+            snake: snake.map(p => p.slice()),
+            apples: apples.map(apple => ({kind: apple.kind, position: apple.position.slice(),
+                time_left: apple.time_left})),
+            score: score,
+            over: over,
+            reason: reason,
+            goal: goal,
+            eaten: eaten,
+            time: time,
+            cleared: cleared,
+            pickup: pickup && {type: pickup.type, position: pickup.position.slice(),
+                time_left: pickup.time_left},
+            effects: effects.map(effect => ({type: effect.type, name: effect.name,
+                time_left: effect.time_left})),
+            lives: lives,
+            speed: currentSpeed(),
+            mode: grid ? "grid" : "continuous",
+            arena: arena.shape,
+            arena_size: size,
+            // A new list of obstacles is made whenever they move so they can be shared
+            obstacles: current_obstacles,
+            walls: wrap ? "wrap" : "solid",
+            seed: seed,
+        };
+    }
+
+    /**
+     * Gets how fast the head is moving now, it gets faster with each apple eaten (up to max_speed
+     * but never slower than the start) and then the effects of pickups change that.
+     */
+    function currentSpeed() {
+        let ramped = Math.min(speed + speed_growth * eaten, Math.max(max_speed, speed));
+        return ramped * modifier("speed");
+    }
+
+    reset();
+    return { step, getState, reset };
+}
+
+/**
+ * Gets a state that is part way between the states a and b (from getState()) for drawing
+ * in-between simulation steps. The amount t goes from 0 (just a) to 1 (just b). Only the positions
+ * and orientation are blended, everything else comes from b. Spheres that don't exist in a yet
+ * are left where they are in b. When the walls wrap, spheres that went through a wall are blended
+ * the short way through the wall.
+ */
+function interpolateState(a, b, t) {
+    let state = Object.assign({}, b);
+    let size = b.arena_size;
+    let blend = (p, q) => {
+        let out = lerp([0, 0, 0], p, q, t);
+        for (let i = 0; b.walls === "wrap" && i < 3; i++) {
+            if (Math.abs(q[i] - p[i]) > size) {
+                out[i] = p[i] + (q[i] - p[i] - 2 * size * Math.sign(q[i] - p[i])) * t;
+                out[i] -= 2 * size * Math.round(out[i] / (2 * size));
+            }
+        }
+        return out;
+    };
+    state.position = blend(a.position, b.position);
+    state.snake = b.snake.map((p, i) => i < a.snake.length ? blend(a.snake[i], p) : p);
+    let orientation = glMatrix.quat.slerp(glMatrix.quat.create(), a.orientation, b.orientation, t);
+    state.orientation = Array.from(orientation);
+    state.obstacles = b.obstacles.map((obstacle, i) => {
+        let from = a.obstacles[i];
+        if (!obstacle.moving || !from) { return obstacle; }
+        return Object.assign({}, obstacle, {
+            center: lerp([0, 0, 0], from.center, obstacle.center, t),
+            // Go the short way around so a spin that starts over doesn't turn backwards
+            rotation: obstacle.rotation.map((angle, j) =>
+                from.rotation[j] + ((angle - from.rotation[j] + 540) % 360 - 180) * t),
+        });
+    });
+    state.forward = headAxis(state.orientation, [0, 0, -1]);
+    state.up = headAxis(state.orientation, [0, 1, 0]);
+    state.right = headAxis(state.orientation, [1, 0, 0]);
+    return state;
+}
+
+/**
+ * Turns a level (loaded from one of the JSON files in levels/) into the options for createGame().
+ * A level can have:
+ *   name        - what the level is called
+ *   arena       - {shape, size} for the arena
+ *   walls       - "solid" or "wrap"
+ *   start       - {position, forward, up} for where the head starts and which way it is facing
+ *   apple       - where the first apple is
+ *   obstacles   - the same as the obstacles option of createGame()
+ *   spawn_zones - the same as the spawn_zones option of createGame()
+ *   goal        - the same as the goal option of createGame()
+ * Anything that is left out is left out of the options too so it can come from somewhere else.
+ */
+function levelOptions(level) {
+    let options = {};
+    if (level.arena) {
+        options.arena = level.arena.shape;
+        options.arena_size = level.arena.size;
+    }
+    if (level.walls) { options.walls = level.walls; }
+    if (level.start) {
+        options.start = level.start.position;
+        options.start_forward = level.start.forward;
+        options.start_up = level.start.up;
+    }
+    if (level.apple) { options.apple = level.apple; }
+    if (level.obstacles) { options.obstacles = level.obstacles; }
+    if (level.spawn_zones) { options.spawn_zones = level.spawn_zones; }
+    if (level.goal) { options.goal = level.goal; }
+    return options;
+}
+
+/**
+ * Gets the orientation quaternion for a head facing forward with its top towards up. Both are
+ * rounded to the nearest axis so that small errors never build up.
+ */
+function facing(forward, up) {
+    forward = forward.map(Math.round);
+    up = up.map(Math.round);
+    let right = glMatrix.vec3.cross([0, 0, 0], forward, up);
+    // setAxes() makes the rotation from the world to the head so flip it around
+    let orientation = glMatrix.quat.setAxes(glMatrix.quat.create(), forward, right, up);
+    return glMatrix.quat.conjugate(orientation, orientation);
+}
+
+/**
+ * Gets where an obstacle is (and how it is turned) time seconds into the game. Obstacles can move
+ * in two ways, which can be used together:
+ *   keyframes - a list of {time, offset, rotation} where offset is how far from its center the
+ *               obstacle is at that time and rotation is how it is turned (both default to none).
+ *               The obstacle moves in a straight line and turns steadily from each keyframe to
+ *               the next and starts over once it reaches the last one. Going back and forth
+ *               just needs the last keyframe to be the same as the first.
+ *   orbit     - {axis, radius, period, phase} to circle around its center, axis is the direction
+ *               it circles around, period is the seconds it takes to go all the way around, and
+ *               phase is how far around it starts (from 0 to 1, default 0)
+ * The pose has the type, center, size or radius, and rotation of the obstacle, and moving is true
+ * for obstacles that move.
+ */
+function poseObstacle(obstacle, time) {
+    let center = obstacle.center.slice();
+    let rotation = (obstacle.rotation || [0, 0, 0]).slice();
+    if (obstacle.keyframes) {
+        let [offset, turn] = keyframeAt(obstacle.keyframes, time);
+        for (let i = 0; i < 3; i++) {
+            center[i] += offset[i];
+            rotation[i] += turn[i];
+        }
+    }
+    if (obstacle.orbit) {
+        let {axis, radius, period} = obstacle.orbit;
+        let angle = 2 * Math.PI * (time / period + (obstacle.orbit.phase || 0));
+        let a = glMatrix.vec3.normalize([0, 0, 0], axis);
+        // Two directions at right angles to the axis and each other to circle in
+        let u = glMatrix.vec3.cross([0, 0, 0], a, Math.abs(a[1]) < 0.9 ? [0, 1, 0] : [1, 0, 0]);
+        glMatrix.vec3.normalize(u, u);
+        let v = glMatrix.vec3.cross([0, 0, 0], a, u);
+        for (let i = 0; i < 3; i++) {
+            center[i] += radius * (Math.cos(angle) * u[i] + Math.sin(angle) * v[i]);
+        }
+    }
+    let pose = {type: obstacle.type, center: center, rotation: rotation};
+    if (obstacle.type === "sphere") {
+        pose.radius = obstacle.radius;
+    } else {
+        pose.size = obstacle.size;
+    }
+    pose.moving = Boolean(obstacle.keyframes || obstacle.orbit);
+    return pose;
+}
+
+/**
+ * Gets the offset and rotation of an obstacle from its keyframes at the given time, see
+ * poseObstacle().
+ */
+function keyframeAt(keyframes, time) {
+    let get = (keyframe, name) => keyframe[name] || [0, 0, 0];
+    let duration = keyframes[keyframes.length - 1].time;
+    let t = duration > 0 ? time % duration : 0;
+    for (let i = 1; i < keyframes.length; i++) {
+        let a = keyframes[i - 1], b = keyframes[i];
+        if (t <= b.time) {
+            let along = b.time > a.time ? (t - a.time) / (b.time - a.time) : 1;
+            return ["offset", "rotation"].map(name =>
+                lerp([0, 0, 0], get(a, name), get(b, name), along));
+        }
+    }
+    return ["offset", "rotation"].map(name => get(keyframes[0], name).slice());
+}
+
+/**
+ * Gets the poses of an obstacle at many times through its movement (or just the one pose of an
+ * obstacle that doesn't move) so they can all be kept clear.
+ */
+function sweepObstacle(obstacle) {
+    let period = Math.max(
+        obstacle.keyframes ? obstacle.keyframes[obstacle.keyframes.length - 1].time : 0,
+        obstacle.orbit ? obstacle.orbit.period : 0);
+    if (period === 0) { return [prepareObstacle(poseObstacle(obstacle, 0))]; }
+    let poses = [];
+    for (let i = 0; i < SWEEP_SAMPLES; i++) {
+        poses.push(prepareObstacle(poseObstacle(obstacle, period * i / SWEEP_SAMPLES)));
+    }
+    return poses;
+}
+
+/**
+ * Saves the inverse of the rotation of a pose (from poseObstacle()) and the radius of the sphere
+ * around its center that it fits in, so checking lots of points against it is quick.
+ */
+function prepareObstacle(pose) {
+    if (pose.type === "sphere") {
+        pose.reach = pose.radius;
+        return pose;
+    }
+    pose.reach = Math.hypot(...pose.size) / 2;
+    if (pose.rotation.some(angle => angle !== 0)) {
+        let q = glMatrix.quat.fromEuler(glMatrix.quat.create(), ...pose.rotation);
+        pose.inverse = glMatrix.quat.invert(q, q);
+    }
+    return pose;
+}
+
+/**
+ * Gets how far the point p is from the surface of an obstacle (see createGame()), it is negative
+ * when p is inside of the obstacle.
+ */
+function obstacleDistance(obstacle, p) {
+    if (obstacle.type === "sphere") {
+        return distance(p, obstacle.center) - obstacle.radius;
+    }
+    // Turn p around the center of the box so the box lines up with the axes
+    let center = obstacle.center;
+    let local = [p[0] - center[0], p[1] - center[1], p[2] - center[2]];
+    if (obstacle.inverse) {
+        glMatrix.vec3.transformQuat(local, local, obstacle.inverse);
+    } else if (obstacle.rotation && obstacle.rotation.some(angle => angle !== 0)) {
+        let q = glMatrix.quat.fromEuler(glMatrix.quat.create(), ...obstacle.rotation);
+        glMatrix.vec3.transformQuat(local, local, glMatrix.quat.invert(q, q));
+    }
+    // How far outside of the box p is along each axis (negative when it is inside along that axis)
+    let x = Math.abs(local[0]) - obstacle.size[0] / 2;
+    let y = Math.abs(local[1]) - obstacle.size[1] / 2;
+    let z = Math.abs(local[2]) - obstacle.size[2] / 2;
+    let inside = Math.min(Math.max(x, y, z), 0);
+    x = Math.max(x, 0);
+    y = Math.max(y, 0);
+    z = Math.max(z, 0);
+    return Math.sqrt(x * x + y * y + z * z) + inside;
+}
+
+/**
+ * Checks if the point p is in the box with the corners min and max.
+ */
+function inBox(p, min, max) {
+    return p.every((x, i) => x >= min[i] && x <= max[i]);
+}
+
+/**
+ * Gets one of the axes of the head (like [0, 0, -1] for forward) in world coordinates for the
+ * given orientation quaternion.
+ */
+function headAxis(orientation, axis) {
+    return Array.from(glMatrix.vec3.transformQuat(glMatrix.vec3.create(), axis, orientation));
+}
+
+/**
+ * Gets the distance between two points.
+ */
+function distance(a, b) {
+    let x = a[0] - b[0], y = a[1] - b[1], z = a[2] - b[2];
+    return Math.sqrt(x * x + y * y + z * z);
+}
+
+/**
+ * Linearly interpolates between the points a and b, saving the result into out.
+ */
+function lerp(out, a, b, t) {
+    for (let i = 0; i < 3; i++) { out[i] = a[i] + (b[i] - a[i]) * t; }
+    return out;
+}
+
+if (typeof module !== 'undefined') {
+    module.exports = {
+        createGame, interpolateState, levelOptions, poseObstacle, obstacleDistance,
+    };
+}
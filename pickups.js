@@ -0,0 +1,65 @@
+// Snake: The Game - power-up pickups
+//
+// Every kind of pickup is described here as data so a new kind can be added without changing the
+// game itself. Like game.js this works in the browser and in Node.
+
+/*eslint no-redeclare: "off" */
+/* exported PICKUP_TYPES, choosePickup */
+/* global module */
+'use strict';
+
+/**
+ * The kinds of pickups. Each one has:
+ *   name      - what the HUD calls it
+ *   color     - the color it is drawn with
+ *   model     - "sphere" or "box" for the shape it is drawn as
+ *   weight    - how likely it is to be picked compared to the others
+ *   duration  - how many seconds its modifiers last, 0 for pickups that only do something instantly
+ *   modifiers - what changes while it lasts, any of:
+ *                 speed - the snake's speed is multiplied by this
+ *                 score - the points for each apple are multiplied by this
+ *                 ghost - when true the snake can go through its own body
+ *   instant   - what happens right when it is picked up, any of:
+ *                 grow  - the number of spheres to add to the snake (negative to take them away)
+ *                 lives - the number of extra lives to add
+ * Picking up a kind that is already going starts its time over instead of doubling it.
+ */
+const PICKUP_TYPES = {
+    slow: {
+        name: "Slow Motion", color: [0.2, 0.5, 1.0], model: "sphere", weight: 3, duration: 8,
+        modifiers: {speed: 0.5},
+    },
+    multiplier: {
+        name: "Double Score", color: [1.0, 0.8, 0.0], model: "box", weight: 3, duration: 10,
+        modifiers: {score: 2},
+    },
+    ghost: {
+        name: "Ghost", color: [0.8, 0.8, 1.0], model: "sphere", weight: 2, duration: 6,
+        modifiers: {ghost: true},
+    },
+    shrink: {
+        name: "Shrink", color: [0.2, 1.0, 0.6], model: "box", weight: 2, duration: 0,
+        instant: {grow: -3},
+    },
+    life: {
+        name: "Extra Life", color: [1.0, 0.4, 0.7], model: "sphere", weight: 1, duration: 0,
+        instant: {lives: 1},
+    },
+};
+
+/**
+ * Picks the name of one of the kinds of pickups (from an object like PICKUP_TYPES) using their
+ * weights and the random number generator random.
+ */
+function choosePickup(types, random) {
+    let names = Object.keys(types);
+    let total = names.reduce((sum, name) => sum + types[name].weight, 0);
+    let pick = random() * total;
+    for (let name of names) {
+        pick -= types[name].weight;
+        if (pick < 0) { return name; }
+    }
+    return names[names.length - 1];
+}
+
+if (typeof module !== 'undefined') { module.exports = { PICKUP_TYPES, choosePickup }; }
@@ -0,0 +1,41 @@
+// Snake: The Game - seedable random numbers
+//
+// Every random choice in the game comes from one of these generators so that a game can be played
+// again exactly by using the same seed. Like game.js this works in the browser and in Node.
+
+/*eslint no-redeclare: "off" */
+/* exported createRandom, randomSeed */
+/* global module */
+'use strict';
+
+/**
+ * Creates a random number generator from a seed which can be any string (or number). The returned
+ * function gives a number from 0 up to but not including 1 just like Math.random() and always
+ * gives the same numbers in the same order for the same seed.
+ *
+ * This is the mulberry32 generator with the seed hashed into 32 bits using FNV-1a.
+ */
+function createRandom(seed) {
+    // Hash the seed
+    let a = 0x811c9dc5;
+    for (let c of String(seed)) {
+        a = Math.imul(a ^ c.charCodeAt(0), 0x01000193);
+    }
+
+    return function random() {
+        a = (a + 0x6D2B79F5) | 0;
+        let t = Math.imul(a ^ (a >>> 15), 1 | a);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Makes up a new seed for a game where the player didn't pick one. This is the only place that
+ * uses Math.random().
+ */
+function randomSeed() {
+    return Math.floor(Math.random() * 4294967296).toString(36);
+}
+
+if (typeof module !== 'undefined') { module.exports = { createRandom, randomSeed }; }
@@ -3,17 +3,50 @@
 
 'use strict';
 // Constants
-const EASY = 0.005;
-const MEDIUM = 0.01;
-const HARD = 0.05;
+// The difficulty presets in the order they are shown in the menu. Each has the speed the snake
+// starts at, how much faster it gets for each apple eaten and the fastest it can get (all in arena
+// units per second), the size of the arena, how many spheres the snake grows by for each apple,
+// how much of the arena is filled with random obstacles, and the kind of walls (see createGame()).
+// The Custom difficulty starts out as a copy of the first one.
+const DIFFICULTIES = {
+    easy: {speed: 0.3, speed_growth: 0.01, max_speed: 0.6, arena_size: 1.25, apple_growth: 1,
+        obstacle_density: 0, walls: "wrap"},
+    medium: {speed: 0.6, speed_growth: 0.02, max_speed: 1.2, arena_size: 1, apple_growth: 1,
+        obstacle_density: 0.02, walls: "solid"},
+    hard: {speed: 3, speed_growth: 0.05, max_speed: 4, arena_size: 0.75, apple_growth: 2,
+        obstacle_density: 0.05, walls: "solid"},
+};
+// The game is simulated in fixed steps of this many seconds no matter how fast the screen
+// refreshes, frames that take longer than the max (like after switching tabs) are cut short
+const TIME_STEP = 1 / 60;
+const MAX_FRAME_TIME = 0.25;
+// How bright the scene is drawn while the game is paused
+const PAUSED_BRIGHTNESS = 0.35;
+// The turn each key asks the snake to make
+const KEY_TURNS = {w: "up", s: "down", a: "left", d: "right"};
+// Number of floats for each instance drawn with drawInstances(), a matrix and a color
+const INSTANCE_SIZE = 19;
+// Vertical field of view of the camera
+const FIELD_OF_VIEW = Math.PI / 3;
 const world_color = [0.0, 0.75, 0.0];
 const snake_head_color = [0.75, 0.75, 0.75];
 const snake_body_color = [0.5, 0.5, 0.5];
-const apple_color = [1.0, 0.0, 0.0];
+// The color of each kind of apple (see APPLE_KINDS in game.js)
+const apple_colors = {normal: [1.0, 0.0, 0.0], golden: [1.0, 0.8, 0.0], rotten: [0.4, 0.3, 0.1]};
+const obstacle_color = [0.55, 0.35, 0.2];
+// How many degrees a second the pickups spin and how many seconds before a pickup or an apple goes
+// away it starts blinking
+const PICKUP_SPIN = 90;
+const PICKUP_BLINK_TIME = 3;
+// Colors of the things only drawn in the level editor, the gizmo handles are red, green and blue
+// for the x, y and z axes
+const zone_color = [1.0, 0.85, 0.0];
+const selected_color = [1.0, 1.0, 1.0];
+const start_arrow_color = [0.0, 0.8, 1.0];
+const gizmo_colors = [[1.0, 0.0, 0.0], [0.0, 1.0, 0.0], [0.0, 0.0, 1.0]];
 
 // Global WebGL context variable
 let gl;
-let coords, indices;
 
 // Allow use of glMatrix values directly instead of needing the glMatrix prefix
 const mat4 = glMatrix.mat4;
@@ -21,35 +54,91 @@ const vec3 = glMatrix.vec3;
 
 // Snake
 let obj;
-let world;
+// The mesh for each of the arena shapes, see initBuffers()
+const world_models = new Map();
+// The mesh for the box obstacles and its instance buffer
+let box_model;
+// The loaded apple model and its instance buffer
+let apple_model;
+// The meshes for moving obstacles of each type, these don't have instance buffers so they can be
+// drawn one at a time
+let moving_models;
+// The levels from the levels directory, the level being played or null to play without one
+let levels = [];
+let level = null;
+// The level made in the editor (null until the editor is used) which is also in the level menu
+let edited_level = null;
+// The campaign plays the levels in order, it has the index of the current level and the score from
+// the levels already cleared, it is null when not playing the campaign
+let campaign = null;
+// Where the campaign progress is saved between visits
+const CAMPAIGN_KEY = "snake-campaign";
+// Where the chosen difficulty and the settings of the Custom difficulty are saved between visits
+const SETTINGS_KEY = "snake-settings";
+// The sphere mesh for each number of subdivisions that has been needed so far, each is the object
+// from createObject() and its instance buffer, see sphereModel()
+const sphere_models = new Map();
+// Per-instance data for drawInstances(), it grows as more instances are needed
+let instance_data = new Float32Array(0);
+
+// The name of the chosen difficulty (one of DIFFICULTIES or "custom") and the Custom settings
+let settings = loadSettings();
+let mode = "continuous";
+let walls = "solid";
+let apple_count = 1;
+let arena = "cube";
+
+// What the player is doing: "title", "playing", "paused", "over", "cleared" (a campaign level) or
+// "editing", only "playing" runs the game
+let game_state = "title";
+// The overlay shown on top of the game for each game state
+const overlays = {
+    title: "title-screen", paused: "paused-screen", over: "game-over", cleared: "level-cleared",
+    editing: "editor-panel",
+};
+
+// The game simulation and copies of its last two states which are blended together to draw
+let game;
+let state, previous_state;
+let queued_turns = [];
+
+// The seed from the URL (like ?seed=hello) which every game uses, otherwise each game gets a new one
+const url_seed = new URLSearchParams(window.location.search).get('seed');
+
+// Time of the last frame (in ms) and the amount of time (in seconds) that still has to be simulated
+let last_time = null;
+let accumulator = 0;
 
-let difficulty = EASY;
-
-let position = [0, 0, 0];
-let rotation = [0, 0, 0];
 let scale = [0.05, 0.05, 0.05];
-let snake_mv = mat4.create();
 
-let apple_position = [0, 0, -0.5];
 let apple_rotation = [0, 0, 0];
 let apple_scale = [0.001, 0.001, 0.001];
-let apple_mv = mat4.create();
 
-let world_position = [0, 0, 1];
+let world_position = [0, 0, 0];
 let world_rotation = [0, 0, 0];
 let world_scale = [1, 1, 1];
 let world_mv = mat4.create();
 
-let current_direction = "forward";
-let snake = []
-let score = 0;
+let obstacle_mv = mat4.create();
 
 let pvm = mat4.create();
+let camera;
+let view_matrix = mat4.create();
+// Where the mouse was the last time it moved while dragging the orbit camera
+let drag_start = null;
+
+// The level editor while it is open, the axis of the gizmo handle being dragged (or -1), where the
+// mouse was pressed down (to tell clicks from drags), and the camera mode to go back to afterwards
+let editor = null;
+let editor_axis = -1;
+let click_start = null;
+let camera_mode_before_editor = null;
 
 let audioContext;
 let audio;
 let track;
 let is_playing = true;
+let music_paused_by_pause = false;
 
 
 // Once the document is fully loaded run this init function.
@@ -65,16 +154,20 @@ window.addEventListener('load', function init() {
     // Configure WebGL
     gl.viewport(0, 0, canvas.width, canvas.height); // this is the region of the canvas we want to draw on (all of it)
     gl.clearColor(0.0, 0.0, 0.0, 1.0); // setup the background color with red, green, blue, and alpha amounts
+    gl.enable(gl.DEPTH_TEST);
     
+    // Create the camera and the game
+    camera = createCamera();
+    initDifficulties();
+    newGame();
+
     // Initialize the WebGL program and data
     gl.program = initProgram();
     initBuffers();
     initEvents();
     onWindowResize();    
 
-    updateModelViewMatrix(snake_mv, position, rotation, scale);
     updateModelViewMatrix(world_mv, world_position, world_rotation, world_scale);
-    updateModelViewMatrix(apple_mv, apple_position, apple_rotation, apple_scale);
     updateProjectionMatrix(pvm);
 
     // Start music
@@ -96,13 +189,20 @@ window.addEventListener('load', function init() {
     audio.play();
 
 
-    // Load models and wait for them all to complete
+    // Load models and levels and wait for them all to complete
     Promise.all([
         loadModel('apple.json'),
+        // The game still works without the levels, so tell the player and go on without them
+        loadLevels('levels/').catch(() => {
+            window.alert("Could not load the levels, only the plain arenas can be played.");
+            return [];
+        }),
     ]).then(
-        models => {
-            gl.models = models;
-            render();
+        ([apple, loaded_levels]) => {
+            apple_model = [apple, createInstanceBuffer(apple[0])];
+            levels = loaded_levels;
+            initLevels();
+            window.requestAnimationFrame(render);
         }
     );
 });
@@ -117,21 +217,30 @@ function initProgram() {
         `#version 300 es
         precision mediump float;
 
-        uniform mat4 uModelViewMatrix;
+        uniform mat4 uModelMatrix;
+        uniform mat4 uViewMatrix;
         uniform mat4 uProjectionMatrix;
+        uniform vec3 uColor;
+        // When drawing instances the model matrix and color come from the instance attributes
+        uniform bool uInstanced;
         const vec4 light = vec4(0, 10, 0, 1);
 
         in vec4 aPosition;
         in vec3 aNormal;
+        in mat4 aInstanceMatrix;
+        in vec3 aInstanceColor;
 
         out vec3 vNormalVector;
         out vec3 vLightVector;
         out vec3 vEyeVector;
+        out vec3 vColor;
 
         void main() {
-            vec4 P = uModelViewMatrix * aPosition;
-            vNormalVector = mat3(uModelViewMatrix) * aNormal;
-            vec4 L = uModelViewMatrix * light;
+            mat4 modelView = uViewMatrix * (uInstanced ? aInstanceMatrix : uModelMatrix);
+            vColor = uInstanced ? aInstanceColor : uColor;
+            vec4 P = modelView * aPosition;
+            vNormalVector = mat3(modelView) * aNormal;
+            vec4 L = uViewMatrix * light;
             vLightVector = light.w == 1.0 ? P.xyz - L.xyz : L.xyz;
             vEyeVector = -P.xyz;
             gl_Position = uProjectionMatrix * P;
@@ -142,7 +251,7 @@ function initProgram() {
         `#version 300 es
         precision mediump float;
 
-        uniform vec3 uColor;
+        uniform float uBrightness;
         // Light and material properties
         const vec3 lightColor = vec3(1.0, 1.0, 1.0);
         const vec3 materialAmbient = vec3(1, 0.2, 0.2);
@@ -153,6 +262,7 @@ function initProgram() {
         in vec3 vNormalVector;
         in vec3 vLightVector;
         in vec3 vEyeVector;
+        in vec3 vColor;
 
         out vec4 fragColor;
 
@@ -173,7 +283,7 @@ function initProgram() {
             }
             
             // Compute final color
-            fragColor.rgb = lightColor * ((uColor + uColor * diffuse) + specular);
+            fragColor.rgb = uBrightness * lightColor * ((vColor + vColor * diffuse) + specular);
             fragColor.a = 1.0;
         }`
     );
@@ -186,21 +296,59 @@ function initProgram() {
     // Get the position attribute index
     program.aPosition = gl.getAttribLocation(program, 'aPosition'); // get the vertex shader attribute "aPosition"
     program.aNormal = gl.getAttribLocation(program, 'aNormal'); // get the vertex shader attribute "aNormal"
+    program.aInstanceMatrix = gl.getAttribLocation(program, 'aInstanceMatrix'); // the first of 4 locations, one per column
+    program.aInstanceColor = gl.getAttribLocation(program, 'aInstanceColor');
     
     // Get uniform indeces
     program.uPosition = gl.getUniformLocation(program, 'uPosition');
     program.uLight = gl.getUniformLocation(program, 'uLight');
     program.uProjectionMatrix = gl.getUniformLocation(program, 'uProjectionMatrix');
-    program.uModelViewMatrix = gl.getUniformLocation(program, 'uModelViewMatrix');
+    program.uModelMatrix = gl.getUniformLocation(program, 'uModelMatrix');
+    program.uViewMatrix = gl.getUniformLocation(program, 'uViewMatrix');
     program.uColor = gl.getUniformLocation(program, 'uColor');
+    program.uBrightness = gl.getUniformLocation(program, 'uBrightness');
+    program.uInstanced = gl.getUniformLocation(program, 'uInstanced');
 
     return program;
 }
 
 /**
- * Initialize the data buffers.
+ * Creates the mesh for every arena shape so switching between them is instant.
  */
 function initBuffers() {
+    for (let shape of ARENA_SHAPES) {
+        world_models.set(shape, createWorld(...arenaMesh(shape)));
+    }
+    let box = createWorld(...unit_cube());
+    box_model = [box, createInstanceBuffer(box[0])];
+    moving_models = {box: createWorld(...unit_cube()), sphere: createObject(...cached_sphere(4))};
+}
+
+/**
+ * Adds an option to the level menu for each level that was loaded.
+ */
+function initLevels() {
+    let select = document.getElementById('level');
+    levels.forEach((loaded, i) => {
+        let option = document.createElement('option');
+        option.value = i.toString();
+        option.textContent = loaded.name;
+        select.appendChild(option);
+    });
+    updateCampaignButton();
+}
+
+/**
+ * Gets the coordinates and indices of the walls of one of the arena shapes (see createArena()).
+ */
+function arenaMesh(shape) {
+    if (shape === "sphere") {
+        return cached_sphere(4);
+    } else if (shape === "cylinder") {
+        return cylinder_mesh();
+    } else if (shape === "torus") {
+        return torus_mesh(TORUS_RADIUS, TORUS_TUBE);
+    }
     let cube_coords = [
         1, 1, 1, // A
         -1, 1, 1, // B
@@ -219,14 +367,24 @@ function initBuffers() {
         6, 7, 5, 7, 4, 5,
         0, 3, 7, 3, 4, 7,
     ];
-    world = createWorld(cube_coords, cube_indices);
-    [coords, indices] = unit_sphere();
-    let [vao, count] = createObject(coords, indices);
-    snake.push([snake_mv, position, vao, count, snake_head_color]);
+    return [cube_coords, cube_indices];
 }
 
 /**
- * Creates a VAO containing the coordinates and indices provided.
+ * Gets the sphere mesh with the given number of subdivisions and its instance buffer, only
+ * uploading it to the GPU the first time it is needed.
+ */
+function sphereModel(level) {
+    if (!sphere_models.has(level)) {
+        let model = createObject(...cached_sphere(level));
+        sphere_models.set(level, [model, createInstanceBuffer(model[0])]);
+    }
+    return sphere_models.get(level);
+}
+
+/**
+ * Creates a VAO containing the coordinates and indices provided. Returns the VAO, the number of
+ * indices, and the type of the indices (16-bit or 32-bit depending on the indices array).
  */
 function createObject(coords, indices) {
     let normals = coords;
@@ -260,116 +418,613 @@ function createObject(coords, indices) {
     gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, null);
 
     // Return the object information
-    return [vao, indices.length];
+    return [vao, indices.length, indices instanceof Uint32Array ? gl.UNSIGNED_INT : gl.UNSIGNED_SHORT];
+}
+
+/**
+ * Adds a buffer of per-instance data to a VAO so that many copies of its object can be drawn with
+ * one call to drawInstances(). Each instance has a model matrix (16 floats) followed by a color (3
+ * floats). Returns the buffer.
+ */
+function createInstanceBuffer(vao) {
+    gl.bindVertexArray(vao);
+    let buf = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, buf);
+
+    // A matrix attribute takes up 4 attribute locations, one for each column
+    let stride = INSTANCE_SIZE * 4;
+    for (let i = 0; i < 4; i++) {
+        let location = gl.program.aInstanceMatrix + i;
+        gl.vertexAttribPointer(location, 4, gl.FLOAT, false, stride, i * 16);
+        gl.vertexAttribDivisor(location, 1);
+        gl.enableVertexAttribArray(location);
+    }
+    gl.vertexAttribPointer(gl.program.aInstanceColor, 3, gl.FLOAT, false, stride, 64);
+    gl.vertexAttribDivisor(gl.program.aInstanceColor, 1);
+    gl.enableVertexAttribArray(gl.program.aInstanceColor);
+
+    // Cleanup
+    gl.bindVertexArray(null);
+    gl.bindBuffer(gl.ARRAY_BUFFER, null);
+
+    return buf;
+}
+
+/**
+ * Draws many copies of an object in a single draw call. The object is [vao, count] or
+ * [vao, count, type] (type defaults to 16-bit indices) and the VAO must have the instance buffer
+ * from createInstanceBuffer(). Each instance is a list of its
+ * position, rotation, scale, and color (the same as the arguments to updateModelViewMatrix()
+ * plus the color).
+ */
+function drawInstances([vao, count, type], buffer, instances) {
+    if (instance_data.length < instances.length * INSTANCE_SIZE) {
+        instance_data = new Float32Array(instances.length * INSTANCE_SIZE * 2);
+    }
+    instances.forEach(([position, rotation, scale, color], i) => {
+        let offset = i * INSTANCE_SIZE;
+        mat4.fromRotationTranslationScale(instance_data.subarray(offset, offset + 16),
+            glMatrix.quat.fromEuler(glMatrix.quat.create(), ...rotation), position, scale);
+        instance_data.set(color, offset + 16);
+    });
+    gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+    gl.bufferData(gl.ARRAY_BUFFER, instance_data.subarray(0, instances.length * INSTANCE_SIZE), gl.DYNAMIC_DRAW);
+    gl.bindBuffer(gl.ARRAY_BUFFER, null);
+
+    gl.uniform1i(gl.program.uInstanced, 1);
+    gl.bindVertexArray(vao);
+    gl.drawElementsInstanced(gl.TRIANGLES, count, type || gl.UNSIGNED_SHORT, 0, instances.length);
+    gl.bindVertexArray(null);
+    gl.uniform1i(gl.program.uInstanced, 0);
 }
 
 function initEvents() {
     window.addEventListener('resize', onWindowResize);
     document.addEventListener('keydown', onKeyDown);
     document.getElementById('difficulty').addEventListener('input', updateDifficulty);
+    document.getElementById('mode').addEventListener('input', updateMode);
+    document.getElementById('walls').addEventListener('input', updateMode);
+    document.getElementById('apple-count').addEventListener('input', updateMode);
+    document.getElementById('arena').addEventListener('input', updateMode);
+    document.getElementById('level').addEventListener('input', updateMode);
+    document.getElementById('play').addEventListener('click', () => setGameState("playing"));
+    document.getElementById('restart').addEventListener('click', () => {
+        newGame();
+        setGameState("playing");
+    });
+    document.getElementById('menu').addEventListener('click', () => {
+        endCampaign();
+        newGame();
+        setGameState("title");
+    });
+    document.getElementById('campaign').addEventListener('click', () => startCampaign(false));
+    document.getElementById('new-campaign').addEventListener('click', () => startCampaign(true));
+    document.getElementById('next-level').addEventListener('click', playCampaignLevel);
+    document.getElementById('cleared-menu').addEventListener('click', () => {
+        endCampaign();
+        setGameState("title");
+    });
+    document.getElementById('resume').addEventListener('click', resume);
+    document.getElementById('edit').addEventListener('click', openEditor);
+    initEditorEvents();
+
+    // Dragging and scrolling over the canvas moves the orbit camera
+    gl.canvas.addEventListener('mousedown', onMouseDown);
+    window.addEventListener('mouseup', onMouseUp);
+    window.addEventListener('mousemove', onMouseMove);
+    gl.canvas.addEventListener('wheel', e => {
+        e.preventDefault();
+        camera.zoom(e.deltaY > 0 ? 1.1 : 1 / 1.1);
+    });
+
+    // Stop the game whenever the player can't see it or is doing something else
+    document.addEventListener('visibilitychange', () => {
+        if (document.hidden) { pause(); }
+    });
+    window.addEventListener('blur', pause);
 }
 
-function changeDirection(direction) {
-    if (current_direction === "up" && direction !== "down") {
-        rotation[0] -= deg2rad(90);
-        return direction;
-    } else if (current_direction === "down" && direction !== "up") {
-        rotation[0] += deg2rad(90);
-        return direction;
-    } else if (current_direction === "left" && direction !== "right") {
-        rotation[2] -= deg2rad(90);
-        return direction;
-    } else if (current_direction === "right" && direction !== "left") {
-        rotation[2] += deg2rad(90);
-        return direction;
-    } else if (current_direction === "forward" && direction !== "backward") {
-        return direction;
-    } else if (current_direction === "backward" && direction !== "forward") {
-        return direction;
+/**
+ * Starts a brand new game using the current settings. The level (if there is one) decides the
+ * arena, walls and obstacles instead of the menu and the difficulty. Levels only have goals in the
+ * campaign.
+ */
+function newGame() {
+    let options = Object.assign({}, difficultySettings(),
+        {mode: mode, arena: arena, walls: walls, apple_count: apple_count, radius: scale[0]});
+    if (level) {
+        Object.assign(options, {arena_size: 1, obstacle_density: 0}, levelOptions(level));
     }
-    return current_direction;
+    if (!campaign) { delete options.goal; }
+    game = createGame(options);
+    resetGame();
 }
 
 /**
- * Updates the score by 5 for every apple eaten.
+ * Gets the saved campaign progress, the index of the level to play next and the score so far.
  */
-function updateScore() {
-    score += 5;
-    document.getElementById("score").innerHTML = score.toString();
+function loadCampaignProgress() {
+    try {
+        let saved = JSON.parse(window.localStorage.getItem(CAMPAIGN_KEY));
+        if (saved && Number.isInteger(saved.level) && typeof saved.score === "number") {
+            return saved;
+        }
+    } catch (e) {
+        // Storage that is turned off or broken is the same as no progress
+    }
+    return {level: 0, score: 0};
 }
 
 /**
- * Update the difficulty from HTML inputs.
+ * Saves the campaign progress so it can be continued later.
  */
-function updateDifficulty() {
-    let difficulty_val = document.getElementById('difficulty').value;
-    if (difficulty_val === "easy") {
-        difficulty = EASY;
-    } else if (difficulty_val === "medium") {
-        difficulty = MEDIUM;
+function saveCampaignProgress() {
+    try {
+        window.localStorage.setItem(CAMPAIGN_KEY, JSON.stringify(campaign));
+    } catch (e) {
+        // Progress just isn't saved if storage is turned off
+    }
+}
+
+/**
+ * Shows which level the campaign will continue from on the title screen.
+ */
+function updateCampaignButton() {
+    let progress = loadCampaignProgress();
+    let button = document.getElementById('campaign');
+    button.hidden = levels.length === 0;
+    document.getElementById('new-campaign').hidden = levels.length === 0;
+    button.textContent = progress.level > 0 && progress.level < levels.length ?
+        "Continue Campaign (Level " + (progress.level + 1) + ")" : "Campaign";
+}
+
+/**
+ * Starts the campaign from the saved progress or from the first level. A campaign that was
+ * finished starts over.
+ */
+function startCampaign(from_start) {
+    campaign = from_start ? {level: 0, score: 0} : loadCampaignProgress();
+    if (campaign.level >= levels.length) { campaign = {level: 0, score: 0}; }
+    saveCampaignProgress();
+    playCampaignLevel();
+}
+
+/**
+ * Starts the current level of the campaign.
+ */
+function playCampaignLevel() {
+    level = levels[campaign.level];
+    document.getElementById('level').value = campaign.level.toString();
+    newGame();
+    setGameState("playing");
+}
+
+/**
+ * Moves the campaign on to the next level once the goal of the current one is done. The score of
+ * the level is added to the campaign's score.
+ */
+function clearLevel() {
+    campaign.score += state.score;
+    campaign.level++;
+    saveCampaignProgress();
+    updateCampaignButton();
+    // The score of the level is part of the campaign's score now
+    updateScore(0);
+    let finished = campaign.level >= levels.length;
+    document.getElementById("cleared-title").textContent =
+        finished ? "Campaign Complete!" : "Level Cleared!";
+    document.getElementById("campaign-score").textContent = campaign.score.toString();
+    document.getElementById("next-level").hidden = finished;
+    setGameState("cleared");
+}
+
+/**
+ * Stops playing the campaign, the level being played stays picked but without its goal.
+ */
+function endCampaign() {
+    if (!campaign) { return; }
+    campaign = null;
+    newGame();
+}
+
+/**
+ * Puts the current game back to the start, the settings stay the same.
+ */
+function resetGame() {
+    game.reset(url_seed !== null ? url_seed : randomSeed());
+    state = previous_state = game.getState();
+    accumulator = 0;
+    queued_turns = [];
+    camera.snap(state);
+    updateScore(state.score);
+}
+
+/**
+ * Switches to a different game state and shows its overlay (if it has one).
+ */
+function setGameState(new_state) {
+    game_state = new_state;
+    for (let [name, id] of Object.entries(overlays)) {
+        document.getElementById(id).hidden = name !== game_state;
+    }
+    if (game_state === "over") {
+        document.getElementById("final-score").innerHTML = state.score.toString();
+        document.getElementById("death-reason").innerHTML = {
+            self: "You ran into yourself.",
+            obstacle: "You ran into an obstacle.",
+            time: "You ran out of time.",
+        }[state.reason] || "You ran into a wall.";
+        document.getElementById("seed").textContent = state.seed;
+        document.getElementById("seed-link").href = "?seed=" + encodeURIComponent(state.seed);
+    }
+}
+
+/**
+ * Shows the score on the page. In the campaign the score from the levels already cleared is added.
+ */
+function updateScore(score) {
+    let total = score + (campaign ? campaign.score : 0);
+    document.getElementById("score").innerHTML = total.toString();
+}
+
+/**
+ * Shows the name of the level being played and how close the snake is to its goal.
+ */
+function updateLevelInfo() {
+    let info = level ? level.name : "";
+    let goal = state.goal;
+    if (goal) {
+        let parts = [];
+        if (goal.apples) {
+            parts.push("Apples " + Math.min(state.eaten, goal.apples) + "/" + goal.apples);
+        }
+        if (goal.length) {
+            parts.push("Length " + Math.min(state.snake.length, goal.length) + "/" + goal.length);
+        }
+        if (goal.time_limit) {
+            let left = Math.max(Math.ceil(goal.time_limit - state.time), 0);
+            parts.push((goal.apples || goal.length ? "Time left " : "Survive ") + left + "s");
+        }
+        info += " - " + parts.join(", ");
+    }
+    let element = document.getElementById("level-info");
+    if (element.textContent !== info) { element.textContent = info; }
+}
+
+/**
+ * Shows how fast the snake is going right now.
+ */
+function updateSpeed() {
+    let text = "Speed " + state.speed.toFixed(2);
+    let element = document.getElementById("speed");
+    if (element.textContent !== text) { element.textContent = text; }
+}
+
+/**
+ * Shows the effects of the pickups that are going, each in the color of its pickup with the
+ * seconds it has left, and the number of extra lives.
+ */
+function updateEffects() {
+    let parts = state.effects.map(effect => {
+        let type = PICKUP_TYPES[effect.type];
+        return [effect.name + " " + Math.ceil(effect.time_left) + "s", type ? type.color : null];
+    });
+    if (state.lives) { parts.push(["Lives " + state.lives, PICKUP_TYPES.life.color]); }
+    let element = document.getElementById("effects");
+    let text = parts.map(([label]) => label).join(" ");
+    if (element.dataset.text === text) { return; }
+    element.dataset.text = text;
+    element.replaceChildren(...parts.map(([label, color]) => {
+        let span = document.createElement("span");
+        span.textContent = label;
+        if (color) { span.style.color = "rgb(" + color.map(x => Math.round(x * 255)) + ")"; }
+        return span;
+    }));
+}
+
+/**
+ * Checks if something that goes away after time_left more seconds is blinked out at the game
+ * time, things blink during their last PICKUP_BLINK_TIME seconds.
+ */
+function blinkedOut(time_left, time) {
+    return time_left > 0 && time_left < PICKUP_BLINK_TIME && Math.floor(time * 4) % 2 === 1;
+}
+
+/**
+ * Draws all of the apples at once with the loaded apple model, each in the color of its kind.
+ */
+function drawApples(apples, time) {
+    let shown = apples.filter(apple => !blinkedOut(apple.time_left, time));
+    if (!apple_model || !shown.length) { return; }
+    drawInstances(...apple_model, shown.map(apple =>
+        [apple.position, apple_rotation, apple_scale, apple_colors[apple.kind]]));
+}
+
+/**
+ * Draws the pickup that is waiting to be picked up using the model and color of its kind. It spins
+ * around and blinks when it is about to go away.
+ */
+function drawPickup(pickup, time) {
+    if (!pickup) { return; }
+    if (blinkedOut(pickup.time_left, time)) { return; }
+    let type = PICKUP_TYPES[pickup.type];
+    let size = type.model === "box" ? scale.map(x => x * 0.8) : scale;
+    let instance = [pickup.position, [0, time * PICKUP_SPIN, 0], size, type.color];
+    drawInstances(...(type.model === "box" ? box_model : sphereModel(3)), [instance]);
+}
+
+/**
+ * Draws the obstacles of a level. All of the obstacles that stay still are drawn at once (one call
+ * for the boxes and one for the spheres) and the ones that move are each drawn on their own.
+ */
+function drawObstacles(obstacles) {
+    let transform = obstacle => [obstacle.center, obstacle.rotation, obstacle.type === "sphere" ?
+        [obstacle.radius, obstacle.radius, obstacle.radius] : obstacle.size.map(x => x / 2)];
+    let still = obstacles.filter(obstacle => !obstacle.moving);
+    let boxes = still.filter(obstacle => obstacle.type === "box");
+    if (boxes.length) {
+        drawInstances(...box_model, boxes.map(box => [...transform(box), obstacle_color]));
+    }
+    let spheres = still.filter(obstacle => obstacle.type === "sphere");
+    if (spheres.length) {
+        let instances = spheres.map(sphere => [...transform(sphere), obstacle_color]);
+        drawInstances(...sphereModel(4), instances);
+    }
+
+    gl.uniform3f(gl.program.uColor, ...obstacle_color);
+    for (let obstacle of obstacles.filter(obstacle => obstacle.moving)) {
+        let [vao, count, type] = moving_models[obstacle.type];
+        gl.bindVertexArray(vao);
+        updateModelViewMatrix(obstacle_mv, ...transform(obstacle));
+        gl.drawElements(gl.TRIANGLES, count, type || gl.UNSIGNED_SHORT, 0);
+        gl.bindVertexArray(null);
+    }
+}
+
+/**
+ * Draws the parts of the level that only show up in the editor: the outlines of the spawn zones,
+ * an arrow for which way the snake starts, and the outline and gizmo of the selected thing.
+ */
+function drawEditor() {
+    let edited = editor.getLevel();
+    let width = 0.005 * edited.arena.size;
+    let boxes = [];
+    for (let zone of edited.spawn_zones) {
+        boxes.push(...boxEdges(zone.min, zone.max, width, zone_color));
+    }
+
+    let start = edited.start;
+    let arrow = 0.15 * edited.arena.size;
+    boxes.push([
+        start.position.map((x, i) => x + start.forward[i] * arrow / 2), [0, 0, 0],
+        start.forward.map(d => Math.max(Math.abs(d) * arrow, 2 * width) / 2), start_arrow_color,
+    ]);
+
+    let selected = editor.getSelected();
+    if (selected) {
+        let [min, max] = selectedBounds(edited, selected);
+        boxes.push(...boxEdges(min, max, 1.5 * width, selected_color));
+        for (let handle of editor.handles()) {
+            boxes.push([handle.center, [0, 0, 0], handle.size.map(x => x / 2),
+                gizmo_colors[handle.axis]]);
+        }
+    }
+    drawInstances(...box_model, boxes);
+}
+
+/**
+ * Gets the lowest and highest corners of the box around one of the things in a level.
+ */
+function selectedBounds(edited, selected) {
+    if (selected.kind === "zone") {
+        let zone = edited.spawn_zones[selected.index];
+        return [zone.min, zone.max];
+    }
+    let center, half;
+    if (selected.kind === "obstacle") {
+        let obstacle = edited.obstacles[selected.index];
+        center = obstacle.center;
+        half = obstacle.type === "sphere" ? [1, 1, 1].map(() => obstacle.radius) :
+            obstacle.size.map(x => x / 2);
     } else {
-        difficulty = HARD;
+        center = selected.kind === "start" ? edited.start.position : edited.apple;
+        half = [1, 1, 1].map(() => scale[0]);
+    }
+    return [center.map((x, i) => x - half[i]), center.map((x, i) => x + half[i])];
+}
+
+/**
+ * Gets the 12 edges of the box with the corners min and max as thin boxes to draw with
+ * drawInstances().
+ */
+function boxEdges(min, max, width, color) {
+    let edges = [];
+    let center = min.map((x, i) => (x + max[i]) / 2);
+    for (let axis = 0; axis < 3; axis++) {
+        let u = (axis + 1) % 3, v = (axis + 2) % 3;
+        for (let [a, b] of [[min, min], [min, max], [max, min], [max, max]]) {
+            let position = center.slice();
+            position[u] = a[u];
+            position[v] = b[v];
+            let half = [width, width, width];
+            half[axis] = (max[axis] - min[axis]) / 2 + width;
+            edges.push([position, [0, 0, 0], half, color]);
+        }
+    }
+    return edges;
+}
+
+/**
+ * Gets every place a sphere of the given radius at p needs to be drawn when the walls wrap. A
+ * sphere that is poking through a wall is also drawn poking in from the opposite wall (and if it
+ * is in a corner, from every wall it is poking through).
+ */
+function wrapCopies(p, radius, size) {
+    let copies = [p];
+    for (let i = 0; i < 3; i++) {
+        if (Math.abs(p[i]) > size - radius) {
+            let shift = -2 * size * Math.sign(p[i]);
+            copies = copies.concat(copies.map(q => q.map((x, j) => j === i ? x + shift : x)));
+        }
     }
+    return copies;
 }
 
 /**
- * Creates a sphere, add it to snake (list variable at the top), and make sure it is one sphere distance away
+ * Gets the settings of the chosen difficulty.
  */
-function addToSnake() {
-    let last_position = [snake[(snake.length - 1)][1]];
-    [coords, indices] = unit_sphere();
-    let [vao, count] = createObject(coords, indices);
-    let mv = mat4.create();
-    moveSnake();
-    snake.push([mv, last_position, vao, count, snake_body_color]);
+function difficultySettings() {
+    return settings.difficulty === "custom" ? settings.custom : DIFFICULTIES[settings.difficulty];
 }
 
 /**
- * Move apple to a different position within the bounds of the world
+ * Gets the saved difficulty and Custom settings, anything missing or broken is filled in from the
+ * first difficulty.
  */
-function moveApple(){
-    apple_position[0] = (Math.random() * 2) - 1;
-    apple_position[1] = (Math.random() * 2) - 1;
-    apple_position[2] = (Math.random() * 2) - 1;
+function loadSettings() {
+    let first = Object.keys(DIFFICULTIES)[0];
+    let loaded = {difficulty: first, custom: Object.assign({}, DIFFICULTIES[first])};
+    try {
+        let saved = JSON.parse(window.localStorage.getItem(SETTINGS_KEY));
+        if (saved && (DIFFICULTIES[saved.difficulty] || saved.difficulty === "custom")) {
+            loaded.difficulty = saved.difficulty;
+        }
+        for (let [name, value] of Object.entries((saved && saved.custom) || {})) {
+            if (typeof value === typeof loaded.custom[name]) { loaded.custom[name] = value; }
+        }
+    } catch (e) {
+        // Storage that is turned off or broken is the same as nothing saved
+    }
+    return loaded;
+}
+
+/**
+ * Saves the difficulty and the Custom settings so they are used again next time.
+ */
+function saveSettings() {
+    try {
+        window.localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+    } catch (e) {
+        // Settings just aren't saved if storage is turned off
+    }
 }
 
-function eatApple() {
-    updateScore();
-    moveApple();
-    addToSnake();
-    moveSnake();
+/**
+ * Fills in the difficulty menu from DIFFICULTIES and the Custom panel from the saved settings.
+ */
+function initDifficulties() {
+    let select = document.getElementById('difficulty');
+    for (let name of Object.keys(DIFFICULTIES).concat("custom")) {
+        let option = document.createElement('option');
+        option.value = name;
+        option.textContent = name;
+        select.appendChild(option);
+    }
+    select.value = settings.difficulty;
+    for (let input of document.querySelectorAll('#custom-panel [data-setting]')) {
+        input.value = settings.custom[input.dataset.setting];
+        input.addEventListener('input', updateCustomSetting);
+    }
+    document.getElementById('custom-done').addEventListener('click', () => {
+        document.getElementById('custom-panel').hidden = true;
+    });
+    document.getElementById('custom-panel').hidden = settings.difficulty !== "custom";
+    walls = difficultySettings().walls;
+    document.getElementById('walls').value = walls;
+}
+
+/**
+ * Update the difficulty from HTML inputs. Its walls are picked in the walls menu and everything
+ * else is used once the game starts over. Custom opens the panel for changing its settings.
+ */
+function updateDifficulty() {
+    settings.difficulty = document.getElementById('difficulty').value;
+    saveSettings();
+    document.getElementById('custom-panel').hidden = settings.difficulty !== "custom";
+    walls = difficultySettings().walls;
+    document.getElementById('walls').value = walls;
+    if (game_state === "title") { newGame(); }
 }
 
-// Checks if the snake has come into contact with a wall
-function checkForWall() {
+/**
+ * Update one of the Custom settings from its input in the Custom panel, numbers that can't be read
+ * are ignored and the rest are kept between the limits of the input.
+ */
+function updateCustomSetting(e) {
+    let input = e.target;
+    let value = input.value;
+    if (input.type === "number") {
+        value = parseFloat(value);
+        if (isNaN(value)) { return; }
+        value = Math.min(Math.max(value, parseFloat(input.min)), parseFloat(input.max));
+    }
+    settings.custom[input.dataset.setting] = value;
+    saveSettings();
+    if (input.dataset.setting === "walls") {
+        walls = value;
+        document.getElementById('walls').value = walls;
+    }
+    if (game_state === "title") { newGame(); }
+}
 
-    if((position[0] >= 0.99 || position[0] <= -0.99) ||
-       (position[1] >= 0.99 || position[1] <= -0.99) ||
-       (position[2] >= 0.99 || position[2] <= -0.99)
-    ) {
-        return true;
+/**
+ * Update the movement mode, the level, the arena shape, the kind of walls and the number of apples
+ * from HTML inputs. The current game has to start over since the snake moves completely differently
+ * in each mode.
+ */
+function updateMode() {
+    campaign = null;
+    mode = document.getElementById('mode').value;
+    let level_val = document.getElementById('level').value;
+    if (level_val === "") {
+        level = null;
+    } else if (level_val === "edited") {
+        level = edited_level;
+    } else {
+        level = levels[parseInt(level_val)];
+    }
+    arena = document.getElementById('arena').value;
+    walls = document.getElementById('walls').value;
+    if (settings.difficulty === "custom") {
+        settings.custom.walls = walls;
+        document.querySelector('#custom-panel [data-setting="walls"]').value = walls;
+        saveSettings();
     }
-    return false;
+    apple_count = parseInt(document.getElementById('apple-count').value);
+    newGame();
 }
 
-// Checks if snake has come into contact with the apple
-function checkForApple(){
-    let x_distance = Math.abs(position[0] - apple_position[0]);
-    let y_distance = Math.abs(position[1] - apple_position[1]);
-    let z_distance = Math.abs(position[2] - apple_position[2]);
-    if(x_distance < 0.1 && y_distance < 0.1 && z_distance < 0.1){
-        return true;
+/**
+ * Pauses the game if it is running. The music is paused as well if the player asked for that.
+ */
+function pause() {
+    if (game_state !== "playing") { return; }
+    setGameState("paused");
+    if (is_playing && document.getElementById('pause-music').checked) {
+        audio.pause();
+        music_paused_by_pause = true;
     }
-    return false;
 }
 
-function pause(){
-    sphere = 1;
+/**
+ * Starts a paused game again, along with the music if pausing stopped it.
+ */
+function resume() {
+    if (game_state !== "paused") { return; }
+    setGameState("playing");
+    if (music_paused_by_pause) {
+        audio.play();
+        music_paused_by_pause = false;
+    }
 }
 
 function onKeyDown(e) {
-    if (e.key === "p"){
-        pause();
+    if (game_state === "editing") {
+        onEditorKeyDown(e);
+        return;
+    }
+    if (e.key === "p" || e.key === "P") {
+        if (game_state === "paused") { resume(); } else { pause(); }
     }
     // When you hit the spacebar then it pauses and unpauses the music.
     if ((e.key === "Spacebar") || (e.key === " ")) {
@@ -380,128 +1035,246 @@ function onKeyDown(e) {
             audio.play();
             is_playing = true;
         }
+        // The player picked what the music should do so unpausing shouldn't change it
+        music_paused_by_pause = false;
     }
-    // Turn Facing Up
-    if (e.key === "w") {
-        if (current_direction === "forward") {
-            current_direction = changeDirection("up");
-        } else if (current_direction === "up") {
-            current_direction = changeDirection("backward");
-        } else if (current_direction === "backward") {
-            current_direction = changeDirection("down");
-        } else {
-            current_direction = changeDirection("forward");
-        }
+    if (e.key === "c" || e.key === "C") {
+        document.getElementById("camera-mode").innerHTML = camera.nextMode();
     }
-    // Turn Facing Down
-    if (e.key === "s") {
-        if (current_direction === "backward") {
-            current_direction = changeDirection("down");
-        } else if (current_direction === "down") {
-            current_direction = changeDirection("forward");
-        } else if (current_direction === "up") {
-            current_direction = changeDirection("forward");
-        } else {
-            current_direction = changeDirection("backward");
-        }
+    // Only turn the snake when the game is running
+    if (game_state === "playing" && KEY_TURNS[e.key]) {
+        queued_turns.push(KEY_TURNS[e.key]);
     }
-    // Turn Facing Left
-    if (e.key === "a") {
-        if (current_direction === "left") {
-            current_direction = changeDirection("backward");
-        } else if (current_direction === "backward") {
-            current_direction = changeDirection("right");
-        } else if (current_direction === "right") {
-            current_direction = changeDirection("forward");
-        } else {
-            current_direction = changeDirection("left");        
+}
+
+
+/**
+ * Starts dragging the orbit camera, or in the editor starts dragging a gizmo handle if the mouse
+ * is on one.
+ */
+function onMouseDown(e) {
+    if (game_state === "editing") {
+        let ray = mouseRay(e);
+        editor_axis = editor.pickHandle(...ray);
+        if (editor_axis >= 0) {
+            editor.beginDrag(editor_axis, ...ray);
+            return;
         }
+        click_start = [e.clientX, e.clientY];
     }
-    // Turn Facing Right
-    if (e.key === "d") {
-        if (current_direction === "right") {
-            current_direction = changeDirection("backward");
-        } else if (current_direction === "backward") {
-            current_direction = changeDirection("left");
-        } else if (current_direction === "left") {
-            current_direction = changeDirection("forward");
-        } else {
-            current_direction = changeDirection("right");     
-        }
+    drag_start = [e.clientX, e.clientY];
+}
+
+/**
+ * Stops any dragging. In the editor a click that didn't move selects whatever is under the mouse.
+ */
+function onMouseUp(e) {
+    drag_start = null;
+    if (game_state !== "editing") { return; }
+    if (editor_axis >= 0) {
+        editor.endDrag();
+        editor_axis = -1;
+    } else if (click_start) {
+        let moved = Math.hypot(e.clientX - click_start[0], e.clientY - click_start[1]);
+        if (moved < 4) { editor.select(editor.pick(...mouseRay(e))); }
     }
+    click_start = null;
 }
 
+/**
+ * Turns the orbit camera while the mouse is being dragged, or in the editor drags the gizmo handle
+ * being held.
+ */
+function onMouseMove(e) {
+    if (game_state === "editing" && editor_axis >= 0) {
+        editor.drag(...mouseRay(e));
+        previewLevel();
+        return;
+    }
+    if (!drag_start || camera.getMode() !== "orbit") { return; }
+    camera.drag(e.clientX - drag_start[0], e.clientY - drag_start[1]);
+    drag_start = [e.clientX, e.clientY];
+}
 
-function updateSnakeBody(index, length) {
-    if(current_direction === "up" || current_direction === "right")
-        for (sphere of snake){
-            sphere[index] += length;
-        }
-    else {
-        for (sphere of snake){
-            sphere[index] -= length;
-        }
+/**
+ * Gets the ray from the camera through the mouse as [origin, direction] in world coordinates.
+ */
+function mouseRay(e) {
+    let rect = gl.canvas.getBoundingClientRect();
+    let x = (e.clientX - rect.left) / rect.width * 2 - 1;
+    let y = 1 - (e.clientY - rect.top) / rect.height * 2;
+    let inverse = mat4.invert(mat4.create(), mat4.multiply(mat4.create(), pvm, view_matrix));
+    let near = vec3.transformMat4(vec3.create(), [x, y, -1], inverse);
+    let far = vec3.transformMat4(vec3.create(), [x, y, 1], inverse);
+    return [Array.from(near), Array.from(vec3.subtract(far, far, near))];
+}
+
+/**
+ * Connects the controls of the level editor panel.
+ */
+function initEditorEvents() {
+    let onClick = (id, action) => document.getElementById(id).addEventListener('click', () => {
+        action();
+        previewLevel();
+    });
+    onClick('editor-add-box', () => editor.add("box"));
+    onClick('editor-add-sphere', () => editor.add("sphere"));
+    onClick('editor-add-zone', () => editor.add("zone"));
+    onClick('editor-remove', () => editor.remove());
+    onClick('editor-turn-start', () => editor.turnStart());
+    onClick('editor-undo', () => editor.undo() && syncEditorPanel());
+    onClick('editor-redo', () => editor.redo() && syncEditorPanel());
+    document.getElementById('editor-play').addEventListener('click', () => closeEditor("playing"));
+    document.getElementById('editor-exit').addEventListener('click', () => closeEditor("title"));
+    document.getElementById('editor-export').addEventListener('click', exportLevel);
+    document.getElementById('editor-import').addEventListener('change', importLevel);
+    document.getElementById('editor-tool').addEventListener('input', e => {
+        editor.setTool(e.target.value);
+    });
+    document.getElementById('editor-name').addEventListener('change', e => {
+        editor.setName(e.target.value);
+        previewLevel();
+    });
+    document.getElementById('editor-walls').addEventListener('input', e => {
+        editor.setWalls(e.target.value);
+        previewLevel();
+    });
+    let onArena = () => {
+        let size = parseFloat(document.getElementById('editor-size').value);
+        editor.setArena(document.getElementById('editor-arena').value, size > 0 ? size : 1);
+        previewLevel();
+    };
+    document.getElementById('editor-arena').addEventListener('input', onArena);
+    document.getElementById('editor-size').addEventListener('change', onArena);
+}
+
+/**
+ * Opens the level editor on the current level (or an empty one) and looks at it with the orbit
+ * camera.
+ */
+function openEditor() {
+    campaign = null;
+    editor = createEditor(level || {arena: {shape: arena, size: 1}, walls: walls});
+    camera_mode_before_editor = camera.getMode();
+    document.getElementById("camera-mode").innerHTML = camera.setMode("orbit");
+    syncEditorPanel();
+    previewLevel();
+    setGameState("editing");
+}
+
+/**
+ * Leaves the level editor and switches to a different game state, the edited level stays picked in
+ * the level menu.
+ */
+function closeEditor(next_state) {
+    previewLevel();
+    editor = null;
+    document.getElementById("camera-mode").innerHTML = camera.setMode(camera_mode_before_editor);
+    setGameState(next_state);
+}
+
+/**
+ * Starts a new game on the level being edited so that it is drawn exactly how it will be played.
+ */
+function previewLevel() {
+    edited_level = editor.getLevel();
+    level = edited_level;
+    let select = document.getElementById('level');
+    let option = select.querySelector('option[value="edited"]');
+    if (!option) {
+        option = document.createElement('option');
+        option.value = "edited";
+        select.appendChild(option);
     }
+    option.textContent = edited_level.name + " (edited)";
+    select.value = "edited";
+    newGame();
 }
 
-function moveSnake() { 
+/**
+ * Shows the settings of the level being edited in the editor panel.
+ */
+function syncEditorPanel() {
+    let edited = editor.getLevel();
+    document.getElementById('editor-name').value = edited.name;
+    document.getElementById('editor-arena').value = edited.arena.shape;
+    document.getElementById('editor-size').value = edited.arena.size.toString();
+    document.getElementById('editor-walls').value = edited.walls;
+    document.getElementById('editor-tool').value = editor.getTool();
+}
 
-    if(!checkForWall()) {
-        if(current_direction === "up") {
-            position[1] += difficulty;
-        } else if (current_direction === "down") {
-            position[1] -= difficulty;
-        } else if (current_direction === "left") {
-            position[0] -= difficulty;
-        } else if (current_direction === "right") {
-            position[0] += difficulty;
-        } else if (current_direction === "backward") {
-            position[2] += difficulty;
-        } else if (current_direction === "forward") {
-            position[2] -= difficulty;
-        }
+/**
+ * Undo (Ctrl+Z), redo (Ctrl+Y or Ctrl+Shift+Z) and remove the selected thing (Delete) in the
+ * editor. Typing in the editor panel is left alone.
+ */
+function onEditorKeyDown(e) {
+    if (e.target.tagName === "INPUT" || e.target.tagName === "SELECT") { return; }
+    let key = e.key.toLowerCase();
+    if ((e.ctrlKey || e.metaKey) && (key === "y" || (key === "z" && e.shiftKey))) {
+        if (editor.redo()) { syncEditorPanel(); }
+    } else if ((e.ctrlKey || e.metaKey) && key === "z") {
+        if (editor.undo()) { syncEditorPanel(); }
+    } else if (e.key === "Delete" || e.key === "Backspace") {
+        editor.remove();
     } else {
-        window.alert("Game Over! Your score was " + score + ". Press 'ok' to play again.");
-        position = [0,0,0];
-        window.location.reload();
+        return;
     }
+    e.preventDefault();
+    previewLevel();
+}
+
+/**
+ * Saves the level being edited as a JSON file.
+ */
+function exportLevel() {
+    let file = new Blob([editor.toJSON()], {type: "application/json"});
+    let link = document.createElement('a');
+    link.href = URL.createObjectURL(file);
+    link.download = editor.getLevel().name.toLowerCase().replace(/[^a-z0-9]+/g, "-") + ".json";
+    link.click();
+    URL.revokeObjectURL(link.href);
 }
 
+/**
+ * Loads a level JSON file picked by the player into the editor.
+ */
+function importLevel(e) {
+    let file = e.target.files[0];
+    if (!file) { return; }
+    file.text().then(text => {
+        editor.load(JSON.parse(text));
+        syncEditorPanel();
+        previewLevel();
+    }).catch(() => window.alert("That file isn't a level."));
+    // Picking the same file again should load it again
+    e.target.value = "";
+}
 
 /**
- * Updates the model-view matrix with a rotation, translation, scale, and origin.
- * These will be changed to one function
+ * Updates the model matrix of an object with a rotation, translation, and scale. The camera's
+ * view matrix is kept separately in uViewMatrix.
  */
 function updateModelViewMatrix(mv, position, rotation, scale) {
-    // Update model-view matrix uniform
+    // Update model matrix uniform
     mv = glMatrix.mat4.fromRotationTranslationScale(mv,
         glMatrix.quat.fromEuler(glMatrix.quat.create(), ...rotation), position, scale);
-    gl.uniformMatrix4fv(gl.program.uModelViewMatrix, false, mv);
+    gl.uniformMatrix4fv(gl.program.uModelMatrix, false, mv);
+}
+
+/**
+ * Updates the view matrix from the camera.
+ */
+function updateViewMatrix(v) {
+    camera.viewMatrix(v);
+    gl.uniformMatrix4fv(gl.program.uViewMatrix, false, v);
 }
 
 /**
- * Updates the projection matrix.
+ * Updates the projection matrix, this only has to happen when the canvas changes size.
  */
 function updateProjectionMatrix(p) {
     let aspect = gl.canvas.width / gl.canvas.height;
-    p = mat4.perspective(p, deg2rad(90), aspect, 0.1, 10);
-
-    let [x, y, z] = position;
-
-    if (current_direction === "up") {
-        mat4.lookAt(p, [x, y, z], [x, y, z], [1,0,0]);
-    } else if (current_direction === "down") {
-        mat4.lookAt(p, [x, y, z], [x, y, z], [-1,0,0]);
-    } else if (current_direction === "left") {
-        mat4.lookAt(p, [x, y, z], [x, y, z], [0,1,0]);
-    } else if (current_direction === "right") {
-        mat4.lookAt(p, [x, y, z], [x, y, z], [0,1,0]);
-    } else if (current_direction === "forward") {
-        mat4.lookAt(p, [x, y, z], [x, y, z], [0,1,0]);
-    } else if (current_direction === "backward") {
-        mat4.lookAt(p, [x, y, z], [x, y, z], [0,1,0]);
-    }
-
+    mat4.perspective(p, FIELD_OF_VIEW, aspect, 0.01, 10);
     gl.uniformMatrix4fv(gl.program.uProjectionMatrix, false, p);
 }
 
@@ -515,41 +1288,89 @@ function onWindowResize() {
     updateProjectionMatrix(pvm);
 }
 
+/**
+ * Runs as many fixed-size steps of the game as needed to catch up after frame_time more seconds.
+ */
+function update(frame_time) {
+    accumulator += frame_time;
+    while (accumulator >= TIME_STEP) {
+        game.step(TIME_STEP, {turns: queued_turns});
+        queued_turns = [];
+        previous_state = state;
+        state = game.getState();
+        accumulator -= TIME_STEP;
+    }
+}
+
 /**
  * Render the scene.
  */
-function render() {
-    if(checkForApple()){
-        eatApple();
+function render(time) {
+    let frame_time = last_time === null ? 0 : Math.min((time - last_time) / 1000, MAX_FRAME_TIME);
+    last_time = time;
+
+    // The game only moves while playing, the time spent on other screens is never caught up on
+    let previous_score = state.score;
+    if (game_state === "playing") {
+        update(frame_time);
+    }
+    if (state.score !== previous_score) {
+        updateScore(state.score);
+    }
+    if (state.over && game_state === "playing") {
+        setGameState("over");
     }
-    moveSnake();
-    // updateSnakeBody();
+    if (state.cleared && game_state === "playing") {
+        clearLevel();
+    }
+    updateLevelInfo();
+    updateEffects();
+    updateSpeed();
+    // Draw the snake part of the way between the last two steps of the game
+    let drawn = interpolateState(previous_state, state, accumulator / TIME_STEP);
+    camera.follow(drawn, frame_time);
+    updateViewMatrix(view_matrix);
+
     gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+    gl.uniform1f(gl.program.uBrightness, game_state === "paused" ? PAUSED_BRIGHTNESS : 1);
 
     
+    // Only the inside of the world is drawn so the cameras outside of it can see in
+    gl.enable(gl.CULL_FACE);
+    gl.cullFace(gl.FRONT);
     gl.uniform3f(gl.program.uColor, ...world_color);
-    let [vao, count] = world;
+    let [vao, count] = world_models.get(drawn.arena);
     gl.bindVertexArray(vao);
-    updateModelViewMatrix(world_mv, world_position, world_rotation, world_scale);
+    updateModelViewMatrix(world_mv, world_position, world_rotation,
+        world_scale.map(x => x * drawn.arena_size));
     gl.drawElements(gl.TRIANGLES, count, gl.UNSIGNED_SHORT, 0);
     gl.bindVertexArray(null);
+    gl.disable(gl.CULL_FACE);
+
+    drawObstacles(drawn.obstacles);
+    drawPickup(state.pickup, state.time);
     
-    gl.uniform3f(gl.program.uColor, ...apple_color);
-    for (let [vao, count] of gl.models) {
-        gl.bindVertexArray(vao);
-        updateModelViewMatrix(apple_mv ,apple_position, apple_rotation, apple_scale);
-        gl.drawElements(gl.TRIANGLES, count, gl.UNSIGNED_SHORT, 0);
-        gl.bindVertexArray(null);
-    }
+    drawApples(state.apples, state.time);
     
-    for (let [mv, sphere_position, vao, count, color] of snake) {
-        gl.bindVertexArray(vao);
-        updateModelViewMatrix(mv, sphere_position, rotation, scale);
-        gl.uniform3f(gl.program.uColor, ...color);
-        gl.drawElements(gl.TRIANGLES, count, gl.UNSIGNED_SHORT, 0);
-        gl.bindVertexArray(null);
+    // The spheres are grouped by how detailed they need to be and each group is drawn at once
+    let groups = new Map();
+    let eye = camera.getEye();
+    drawn.snake.forEach((sphere, i) => {
+        let copies = drawn.walls === "wrap" ?
+            wrapCopies(sphere, scale[0], drawn.arena_size) : [sphere];
+        for (let p of copies) {
+            let detail = sphere_lod(scale[0], distance(eye, p), FIELD_OF_VIEW, gl.canvas.height);
+            if (!groups.has(detail)) { groups.set(detail, []); }
+            groups.get(detail).push(
+                [p, [0, 0, 0], scale, i === 0 ? snake_head_color : snake_body_color]);
+        }
+    });
+    for (let [detail, instances] of groups) {
+        let [model, buffer] = sphereModel(detail);
+        drawInstances(model, buffer, instances);
     }
-    updateProjectionMatrix(pvm);
+
+    if (game_state === "editing") { drawEditor(); }
     
     window.requestAnimationFrame(render);
 }
@@ -0,0 +1,22 @@
+// Snake: The Game - checks that the level editor works on its own in Node
+//
+// Run with `node test/editor.js`, it exits with an error if a check fails.
+
+/* eslint-env node */
+'use strict';
+
+const assert = require('assert');
+const editor_module = require('../editor.js');
+
+// Loading a level fills in everything that is missing and can be undone
+let editor = editor_module.createEditor({});
+editor.load({name: "loaded", arena: {shape: "sphere", size: 1}});
+assert.strictEqual(editor.getLevel().name, "loaded");
+assert.strictEqual(editor.getLevel().arena.shape, "sphere");
+assert.strictEqual(editor.undo(), true, "loading a level should be undoable");
+assert.notStrictEqual(editor.getLevel().name, "loaded");
+
+// A level the game can't use throws and leaves the level alone
+let before = editor.toJSON();
+assert.throws(() => editor.load({arena: {shape: "pyramid", size: 1}}));
+assert.strictEqual(editor.toJSON(), before, "a bad level shouldn't change anything");
@@ -0,0 +1,21 @@
+// Snake: The Game - checks that growing by a lot at once doesn't end the game
+//
+// Run with `node test/growth.js`, it exits with an error if a check fails.
+
+/* eslint-env node */
+'use strict';
+
+const assert = require('assert');
+const game_module = require('../game.js');
+
+// The first apple is right in front of the head so it is eaten while the trail is still short and
+// the new spheres have to pile up at its end
+for (let mode of ["continuous", "grid"]) {
+    let game = game_module.createGame({mode: mode, apple: [0, 0, -0.1], apple_growth: 10,
+        pickup_chance: 0, seed: 1});
+    for (let i = 0; i < 120; i++) { game.step(1 / 60); }
+    let state = game.getState();
+    assert.strictEqual(state.eaten, 1, mode + ": the apple should have been eaten");
+    assert.strictEqual(state.snake.length, 11, mode + ": the snake should have grown by 10");
+    assert.strictEqual(state.over, false, mode + ": the snake shouldn't run into its pile");
+}
@@ -0,0 +1,37 @@
+// Snake: The Game - checks that the snake can run into its own body
+//
+// Run with `node test/self-collision.js`, it exits with an error if a check fails.
+
+/* eslint-env node */
+'use strict';
+
+const assert = require('assert');
+const game_module = require('../game.js');
+
+/**
+ * Grows the snake on the apple right in front of it and lets it go straight until the whole body
+ * is stretched out behind the head, then makes the given turns. Returns the state once the game is
+ * over or has gone on for another second.
+ */
+function growThenTurn(turns) {
+    // The default neck of 3 spheres keeps the body right behind the head from counting and the
+    // arena is big enough that going straight doesn't reach a wall
+    let game = game_module.createGame({arena_size: 1.5, apple: [0, 0, -0.1], apple_growth: 6,
+        pickup_chance: 0, seed: 1});
+    for (let i = 0; i < 150; i++) { game.step(1 / 60); }
+    let state = game.getState();
+    assert.strictEqual(state.over, false, "going straight shouldn't end the game");
+    assert.strictEqual(state.snake.length, 7, "the snake should have grown");
+    game.step(1 / 60, {turns: turns});
+    for (let i = 0; i < 60 && !game.getState().over; i++) { game.step(1 / 60); }
+    return game.getState();
+}
+
+// Going straight on is safe
+let state = growThenTurn([]);
+assert.strictEqual(state.over, false, "the snake should still be going");
+
+// Turning up twice turns the head all the way around and back through the body
+state = growThenTurn(["up", "up"]);
+assert.strictEqual(state.over, true, "the game should end when the head hits the body");
+assert.strictEqual(state.reason, "self");
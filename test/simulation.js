@@ -0,0 +1,79 @@
+// Snake: The Game - checks the headless simulation: replays, the ways the snake can die, and moving
+// in grid mode
+//
+// Run with `node test/simulation.js`, it exits with an error if a check fails.
+
+/* eslint-env node */
+'use strict';
+
+const assert = require('assert');
+const game_module = require('../game.js');
+
+const STEP = 1 / 60;
+
+/**
+ * Steps the game until it is over or max_steps have gone by and returns the final state.
+ */
+function runUntilOver(game, max_steps) {
+    for (let i = 0; i < max_steps && !game.getState().over; i++) { game.step(STEP); }
+    return game.getState();
+}
+
+// The same seed and the same turns play out exactly the same. The first apple is eaten so the new
+// apples, the pickup and the scattered obstacles all come from the seed.
+const REPLAY_OPTIONS = {seed: 1, walls: "wrap", obstacle_density: 0.02, apple: [0, 0, -0.2],
+    apple_count: 3, pickup_chance: 1};
+const REPLAY_TURNS = ["left", "up", "right", "down"];
+function replay(game) {
+    for (let i = 1; i <= 600; i++) {
+        game.step(STEP, {turns: i % 40 === 0 ? [REPLAY_TURNS[i / 40 % 4]] : []});
+    }
+    return game.getState();
+}
+let game = game_module.createGame(REPLAY_OPTIONS);
+let first = replay(game);
+assert.strictEqual(first.over, false, "the replay should still be going");
+assert.strictEqual(first.eaten, 1, "the replay should have eaten the first apple");
+assert.deepStrictEqual(replay(game_module.createGame(REPLAY_OPTIONS)), first,
+    "a new game with the same seed and turns should end up the same");
+game.reset();
+assert.deepStrictEqual(replay(game), first, "resetting the game should play out the same again");
+
+// Going straight runs into the wall in front of the start
+let state = runUntilOver(game_module.createGame({apple: [0.5, 0.5, 0.5], seed: 1}), 600);
+assert.strictEqual(state.reason, "wall");
+assert.ok(state.position[2] < -0.9, "the head should be at the wall");
+
+// An obstacle in the way ends the game before the wall does
+state = runUntilOver(game_module.createGame({apple: [0.5, 0.5, 0.5], seed: 1,
+    obstacles: [{type: "box", center: [0, 0, -0.5], size: [0.4, 0.4, 0.1]}]}), 600);
+assert.strictEqual(state.reason, "obstacle");
+assert.ok(state.position[2] > -0.5, "the head should have stopped at the box");
+
+// In grid mode the head jumps one cell (0.1 with the default grid) at a time along the way it is
+// facing and only turns when it moves to the next cell
+game = game_module.createGame({mode: "grid", apple: [0.5, 0.5, 0.5], pickup_chance: 0, seed: 1});
+let moves = [];
+let last = game.getState().position;
+for (let i = 0; i < 180; i++) {
+    game.step(STEP, {turns: i === 30 ? ["left"] : []});
+    let position = game.getState().position;
+    if (!position.every((x, j) => x === last[j])) {
+        moves.push(position.map((x, j) => Math.round((x - last[j]) * 10)));
+        last = position;
+    }
+}
+assert.strictEqual(game.getState().over, false);
+// 3 seconds at 0.3 per second is 9 cells, the turn comes in after the first one
+assert.strictEqual(moves.length, 9, "the head should move once every cell's worth of time");
+assert.deepStrictEqual(moves[0], [0, 0, -1]);
+for (let move of moves.slice(1)) { assert.deepStrictEqual(move, [-1, 0, 0]); }
+
+// In grid mode there is no neck so three left turns in a row run the head into the body
+game = game_module.createGame({mode: "grid", apple: [0, 0, -0.1], apple_growth: 4,
+    pickup_chance: 0, seed: 1});
+for (let i = 0; i < 60; i++) { game.step(STEP); }
+assert.strictEqual(game.getState().snake.length, 5, "the snake should have grown");
+game.step(STEP, {turns: ["left", "left", "left"]});
+state = runUntilOver(game, 240);
+assert.strictEqual(state.reason, "self");
@@ -1,3 +1,7 @@
+/*eslint no-redeclare: "off" */
+/* exported deg2rad, cached_sphere, unit_cube, cylinder_mesh, torus_mesh, sphere_lod, loadModel,
+   loadLevels, createWorld */
+
 function deg2rad(degrees) {
     return (degrees*Math.PI)/180.0;
 }
@@ -8,17 +12,20 @@ function deg2rad(degrees) {
  * vertices can just be transformed as necessary.
  * 
  * Returns the Float32Array of 3-element coordinates and Uint16Array of indices. The coordinates
- * are the same as the normals so that can just be reused.
+ * are the same as the normals so that can just be reused. With 8 or more subdivisions there are
+ * too many vertices for 16-bit indices so a Uint32Array of indices is returned instead (WebGL 2
+ * can always draw these, WebGL 1 needs the OES_element_index_uint extension).
  * 
  * Number of subdivisions is the only parameter and defaults to 7 which means that 65,536 triangles
- * are used to approximate the sphere which is the highest quality sphere this can generate. A
- * value of 0 would just give a tetrahedron (4 triangles) and 1 would give a 16-sided shape.
+ * are used to approximate the sphere. A value of 0 would just give a tetrahedron (4 triangles) and
+ * 1 would give a 16-sided shape.
  */
 function unit_sphere(num_subdivisions) {
     if (typeof num_subdivisions === "undefined") { num_subdivisions = 7; }
 
     let num_triangles = Math.pow(4, num_subdivisions); // number of triangles per face of tetrahedron
-    let indices = new Uint16Array(12 * num_triangles);
+    let num_vertices = 2 * num_triangles + 2;
+    let indices = num_vertices > 65536 ? new Uint32Array(12 * num_triangles) : new Uint16Array(12 * num_triangles);
     let coords = new Float32Array(6 * num_triangles + 6); // see https://oeis.org/A283070
     let indices_pos = 0, coords_pos = 0; // current position in each of the arrays
     let map = new Map();
@@ -85,6 +92,133 @@ function unit_sphere(num_subdivisions) {
     return [coords, indices];
 }
 
+// The spheres made by cached_sphere() for each number of subdivisions
+const sphere_cache = new Map();
+
+/**
+ * Gets the same unit sphere as unit_sphere() but only builds it the first time that number of
+ * subdivisions is asked for. The arrays that are returned are shared so they must not be changed.
+ */
+function cached_sphere(num_subdivisions) {
+    if (!sphere_cache.has(num_subdivisions)) {
+        sphere_cache.set(num_subdivisions, unit_sphere(num_subdivisions));
+    }
+    return sphere_cache.get(num_subdivisions);
+}
+
+/**
+ * Create a cube from -1 to 1 along each axis. Each face has its own 4 vertices so that the normals
+ * calculated for it are flat instead of being smoothed around the corners.
+ *
+ * Returns the Float32Array of 3-element coordinates and Uint16Array of indices with the triangles
+ * facing outwards.
+ */
+function unit_cube() {
+    let coords = new Float32Array(72);
+    let indices = new Uint16Array(36);
+    for (let axis = 0; axis < 3; axis++) {
+        for (let side of [-1, 1]) {
+            let face = axis * 2 + (side + 1) / 2;
+            // The two other axes in an order that makes the face point outwards
+            let u = (axis + (side > 0 ? 1 : 2)) % 3, v = (axis + (side > 0 ? 2 : 1)) % 3;
+            [[-1, -1], [1, -1], [1, 1], [-1, 1]].forEach(([a, b], corner) => {
+                let c = [0, 0, 0];
+                c[axis] = side;
+                c[u] = a;
+                c[v] = b;
+                coords.set(c, 3 * (4 * face + corner));
+            });
+            let first = 4 * face;
+            indices.set([first, first + 1, first + 2, first, first + 2, first + 3], 6 * face);
+        }
+    }
+    return [coords, indices];
+}
+
+/**
+ * Create a closed cylinder along the z axis with a radius of 1 that goes from z = -1 to z = 1. The
+ * round side is made of the given number of segments (default 48). The caps get their own
+ * vertices so their edges stay sharp once the normals are calculated.
+ *
+ * Returns the Float32Array of 3-element coordinates and Uint16Array of indices with the triangles
+ * facing outwards.
+ */
+function cylinder_mesh(segments) {
+    if (typeof segments === "undefined") { segments = 48; }
+
+    // The side has a bottom and top vertex for each segment, each cap has a center and a ring
+    let coords = new Float32Array(3 * (4 * segments + 2));
+    let indices = new Uint16Array(12 * segments);
+    let side = 0, bottom = 2 * segments, top = 3 * segments + 1;
+    for (let j = 0; j < segments; j++) {
+        let angle = 2 * Math.PI * j / segments;
+        let x = Math.cos(angle), y = Math.sin(angle);
+        coords.set([x, y, -1, x, y, 1], 6 * j);
+        coords.set([x, y, -1], 3 * (bottom + 1 + j));
+        coords.set([x, y, 1], 3 * (top + 1 + j));
+    }
+    coords.set([0, 0, -1], 3 * bottom);
+    coords.set([0, 0, 1], 3 * top);
+
+    for (let j = 0; j < segments; j++) {
+        let k = (j + 1) % segments;
+        let b0 = side + 2 * j, t0 = b0 + 1, b1 = side + 2 * k, t1 = b1 + 1;
+        indices.set([b0, b1, t1, b0, t1, t0], 12 * j);
+        indices.set([bottom, bottom + 1 + k, bottom + 1 + j], 12 * j + 6);
+        indices.set([top, top + 1 + j, top + 1 + k], 12 * j + 9);
+    }
+
+    return [coords, indices];
+}
+
+/**
+ * Create a torus around the y axis. The center of the tube is radius away from the y axis and the
+ * tube itself has a radius of tube. The ring is made of segments pieces (default 64) and the tube
+ * has sides around it (default 24).
+ *
+ * Returns the Float32Array of 3-element coordinates and Uint16Array of indices with the triangles
+ * facing outwards.
+ */
+function torus_mesh(radius, tube, segments, sides) {
+    if (typeof segments === "undefined") { segments = 64; }
+    if (typeof sides === "undefined") { sides = 24; }
+
+    let coords = new Float32Array(3 * segments * sides);
+    let indices = new Uint16Array(6 * segments * sides);
+    let index = (i, j) => (i % segments) * sides + (j % sides);
+    for (let i = 0; i < segments; i++) {
+        let u = 2 * Math.PI * i / segments;
+        for (let j = 0; j < sides; j++) {
+            let v = 2 * Math.PI * j / sides;
+            let r = radius + tube * Math.cos(v);
+            coords.set([r * Math.cos(u), tube * Math.sin(v), r * Math.sin(u)], 3 * index(i, j));
+            indices.set([
+                index(i, j), index(i, j + 1), index(i + 1, j + 1),
+                index(i, j), index(i + 1, j + 1), index(i + 1, j),
+            ], 6 * index(i, j));
+        }
+    }
+
+    return [coords, indices];
+}
+
+/**
+ * Picks how many subdivisions a sphere needs to look round based on how big it is on the screen.
+ * The radius and distance from the camera are in world units, fov is the vertical field of view
+ * of the camera in radians, and height is the height of the canvas in pixels. The result is
+ * always between min_level and max_level (which default to 1 and 7).
+ *
+ * Each subdivision doubles the number of edges around the sphere so one more is needed each time
+ * the sphere doubles in size on the screen.
+ */
+function sphere_lod(radius, distance, fov, height, min_level, max_level) {
+    if (typeof min_level === "undefined") { min_level = 1; }
+    if (typeof max_level === "undefined") { max_level = 7; }
+    let pixels = radius / (Math.max(distance, 1e-6) * Math.tan(fov / 2)) * height / 2;
+    let level = Math.ceil(Math.log2(Math.max(pixels, 1) / 2));
+    return Math.min(Math.max(level, min_level), max_level);
+}
+
 /**
  * Load a model from a file into a VAO and return the VAO.
  */
@@ -129,6 +263,17 @@ function loadModel(filename) {
         .catch(console.error);
 }
 
+/**
+ * Load all of the levels listed in the index.json file of a directory of levels. The index is a
+ * list of the file names of the levels in the order they should be shown. Returns a promise of the
+ * list of levels which is rejected if any of the files can't be loaded.
+ */
+function loadLevels(directory) {
+    return fetch(directory + 'index.json')
+        .then(r => r.json())
+        .then(files => Promise.all(files.map(file => fetch(directory + file).then(r => r.json()))));
+}
+
 /**
  * Calculates the normals for the vertices given an array of vertices and array of indices to look
  * up into. The triangles are full triangles and not triangle strips.